@@ -1,15 +1,125 @@
 #!/usr/bin/env bun
 
-import { createCliRenderer, TextRenderable, BoxRenderable, ScrollBoxRenderable, t, fg } from '@opentui/core';
+import { createCliRenderer, TextRenderable, BoxRenderable, ScrollBoxRenderable, StyledText, t, fg, bg, bold } from '@opentui/core';
 import { spawn } from 'child_process';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { EventEmitter } from 'events';
+import { readFileSync, appendFileSync, existsSync, readdirSync, statSync, mkdirSync, watch } from 'fs';
+import { join, dirname, relative, resolve, basename, sep } from 'path';
+import { connect } from 'net';
+import { homedir } from 'os';
+import { parseArgs } from 'util';
 import kill from 'tree-kill';
 import stripAnsi from 'strip-ansi';
+import chalk from 'chalk';
+import { buildEnvironment, maskEnvValue } from './lib/env.js';
+import { createLineAssembler } from './lib/line-assembler.js';
+import { getLogSettings, getLogFileName, getLogFileStartTime, needsLogRotation, rotateLogFile, pruneOldLogs } from './lib/logs.js';
+import { createRingBuffer, mergeByLineNumber } from './lib/output-buffers.js';
+import { lineHasColor, getLineSearchText, getLineLevel, lineMeetsLevel, parseJsonLogLine, getLineDisplayText } from './lib/log-lines.js';
+import { compileFilterQuery } from './lib/filter-query.js';
+import { CONFIG_LAYERS, createConfigStore, getConfigLayerPaths } from './lib/config.js';
+import { createConfigParser } from './lib/config-schema.js';
+import { suggestName } from './lib/suggest.js';
+import { matchesPattern } from './lib/patterns.js';
+import { compileTriggers, triggerAppliesTo, matchTriggers, buildNotificationSequence } from './lib/triggers.js';
+import { DEFAULT_WATCH_IGNORE, globToRegExp, getGlobBase, listWatchDirs } from './lib/watch.js';
+
+const USAGE = `Usage: startall [config file] [options]
+       startall validate [config file]
+
+Options:
+  --select <a,b>      Select these processes instead of the saved selection
+  --all               Select every process
+  --countdown <n>     Seconds before the selection starts (default 10, 0 starts immediately)
+  --no-countdown      Wait for Enter on the selection screen
+  --layout <name>     Use a pane layout from "layouts" in the config
+  --profile <name>    Use a profile from "profiles" in the config
+  --cwd <dir>         Run in this directory
+  --headless          Run without the UI, printing prefixed output
+  --success <cond>    Headless exit condition: all, first-failure or a process name
+  -v, --version       Print the version
+  -h, --help          Print this help`;
+
+const CLI_OPTIONS = {
+  select: { type: 'string' },
+  all: { type: 'boolean' },
+  countdown: { type: 'string' },
+  'no-countdown': { type: 'boolean' },
+  layout: { type: 'string' },
+  profile: { type: 'string' },
+  cwd: { type: 'string' },
+  headless: { type: 'boolean' },
+  success: { type: 'string' },
+  version: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// Parse the command line; throws an Error with a user-facing message on bad input
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+  } catch (error) {
+    if (error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+      const flag = error.message.match(/'([^']+)'/)?.[1] || '';
+      const suggestion = suggestName(flag.replace(/^-+/, ''), Object.keys(CLI_OPTIONS));
+      throw new Error(`Unknown option ${flag}${suggestion ? ` - did you mean --${suggestion}?` : ''}`);
+    }
+    throw error;
+  }
+  
+  const { values, positionals } = parsed;
+  const command = positionals[0] === 'validate' ? positionals.shift() : null;
+  if (positionals.length > 1) {
+    throw new Error(`Unexpected argument ${positionals[1]}`);
+  }
+  if (values.select !== undefined && values.all) {
+    throw new Error('--select and --all cannot be combined');
+  }
+  if (values.countdown !== undefined && values['no-countdown']) {
+    throw new Error('--countdown and --no-countdown cannot be combined');
+  }
+  if (values.countdown !== undefined && !/^\d+$/.test(values.countdown)) {
+    throw new Error(`--countdown expects a number of seconds, got "${values.countdown}"`);
+  }
+  
+  return {
+    command,
+    configFile: positionals[0] || null,
+    select: values.select !== undefined
+      ? values.select.split(',').map(name => name.trim()).filter(Boolean)
+      : null,
+    all: !!values.all,
+    countdown: values['no-countdown'] ? null
+      : values.countdown !== undefined ? parseInt(values.countdown, 10)
+      : COUNTDOWN_SECONDS,
+    layout: values.layout || null,
+    profile: values.profile || null,
+    cwd: values.cwd || null,
+    headless: !!values.headless,
+    success: values.success || null,
+    version: !!values.version,
+    help: !!values.help,
+  };
+}
+
+// Print a command-line error and exit with the usage error code
+function exitWithUsageError(message) {
+  console.error(`startall: ${message}`);
+  console.error("Run 'startall --help' for usage.");
+  process.exit(2);
+}
 
-// Configuration
-const CONFIG_FILE = process.argv[2] || 'startall.json';
 const COUNTDOWN_SECONDS = 10;
+let ARGS;
+try {
+  ARGS = parseCommandLine(process.argv.slice(2));
+} catch (error) {
+  exitWithUsageError(error.message);
+}
+
+// Configuration
+const CONFIG_FILE = ARGS.configFile || 'startall.json';
 
 // Read version from package.json
 function getAppVersion() {
@@ -52,6 +162,8 @@ function createPane(processes = []) {
     hidden: [], // Array of process names to hide from this pane
     filter: '', // Text filter for this pane
     colorFilter: null, // Color filter: 'red', 'yellow', 'green', 'blue', 'cyan', 'magenta', or null
+    stderrOnly: false, // Only show lines written to stderr
+    minLevel: null, // Only show lines at or above this level: 'info', 'warn', 'error', or null
     isPaused: false,
     scrollOffset: 0,
   };
@@ -93,32 +205,45 @@ function getAllPaneIds(node, ids = []) {
   return ids;
 }
 
-// Get ANSI color codes for a color name (includes normal and bright variants)
-function getAnsiColorCodes(colorName) {
-  const colorMap = {
-    red: [31, 91],      // normal red, bright red
-    yellow: [33, 93],   // normal yellow, bright yellow (warnings)
-    green: [32, 92],    // normal green, bright green
-    blue: [34, 94],     // normal blue, bright blue
-    cyan: [36, 96],     // normal cyan, bright cyan
-    magenta: [35, 95],  // normal magenta, bright magenta
-  };
-  return colorMap[colorName] || [];
+// Color one line of pretty-printed JSON: keys, string values and other values
+function colorJsonLine(text) {
+  const [, indent, key, value] = text.match(/^(\s*)(?:("(?:[^"\\]|\\.)*"): )?(.*)$/);
+  let valueColor = COLORS.textDim;  // Brackets and braces
+  if (value.startsWith('"')) valueColor = COLORS.success;
+  else if (/^(-?\d|true|false|null)/.test(value)) valueColor = COLORS.magenta;
+  return key
+    ? t`${indent}${fg(COLORS.cyan)(key)}${fg(COLORS.textDim)(': ')}${fg(valueColor)(value)}`
+    : t`${indent}${fg(valueColor)(value)}`;
+}
+
+// Compile a search pattern into a global regex: /regex/flags, or a case-insensitive
+// literal. Returns { regex } or { error }.
+function compileSearchPattern(query) {
+  const [, source, flags] = query.match(/^\/(.+)\/([dgimsuvy]*)$/) || [];
+  try {
+    if (source !== undefined) {
+      return { regex: new RegExp(source, flags.includes('g') ? flags : flags + 'g') };
+    }
+    return { regex: new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi') };
+  } catch (err) {
+    return { error: err.message };
+  }
 }
 
-// Check if a line contains a specific ANSI color
-function lineHasColor(text, colorName) {
-  const codes = getAnsiColorCodes(colorName);
-  // Match ANSI escape sequences like \x1b[31m, \x1b[91m, \x1b[1;31m, etc.
-  for (const code of codes) {
-    // Check for direct color code: \x1b[31m
-    if (text.includes(`\x1b[${code}m`)) return true;
-    // Check for color with modifiers: \x1b[1;31m, \x1b[0;31m, etc.
-    if (text.includes(`;${code}m`)) return true;
-    // Check for color at start of sequence: \x1b[31;1m
-    if (text.includes(`\x1b[${code};`)) return true;
-  }
-  return false;
+// Split text into chunks with every match of a global search regex highlighted.
+// Returns null when nothing matches.
+function highlightSearchMatches(text, regex, highlightColor) {
+  const chunks = [];
+  let last = 0;
+  for (const match of text.matchAll(regex)) {
+    if (match[0] === '') continue;
+    if (match.index > last) chunks.push(fg(COLORS.text)(text.slice(last, match.index)));
+    chunks.push(bg(highlightColor)(fg('#000000')(match[0])));
+    last = match.index + match[0].length;
+  }
+  if (chunks.length === 0) return null;
+  if (last < text.length) chunks.push(fg(COLORS.text)(text.slice(last)));
+  return chunks;
 }
 
 // Find parent of a node
@@ -229,6 +354,8 @@ function serializePaneTree(node) {
       hidden: node.hidden || [],
       filter: node.filter || '',
       colorFilter: node.colorFilter || null,
+      stderrOnly: !!node.stderrOnly,
+      minLevel: node.minLevel || null,
     };
   }
   
@@ -250,6 +377,8 @@ function deserializePaneTree(data) {
     pane.hidden = data.hidden || [];
     pane.filter = data.filter || '';
     pane.colorFilter = data.colorFilter || null;
+    pane.stderrOnly = !!data.stderrOnly;
+    pane.minLevel = data.minLevel || null;
     return pane;
   }
   
@@ -261,6 +390,19 @@ function deserializePaneTree(data) {
   };
 }
 
+// Settings screen sections, in tab order
+const SETTINGS_SECTIONS = ['display', 'profiles', 'ignore', 'include', 'shortcuts', 'scripts', 'env'];
+
+// Single keys the running screen already handles; quick command shortcuts can't use them
+const RESERVED_SHORTCUT_KEYS = new Set([...'qxpfnkjhlrwsocmigvae123456789', '\\', '|', '_', '/', '?', '!']);
+
+// Warnings for configured shortcuts on reserved keys (they would never fire)
+function getShortcutWarnings(shortcuts) {
+  return Object.entries(shortcuts || {})
+    .filter(([key]) => RESERVED_SHORTCUT_KEYS.has(key))
+    .map(([key, scriptName]) => `shortcuts: "${key}" is a built-in key, so the shortcut for ${scriptName} is ignored - assign another key in settings (o)`);
+}
+
 // Color palette (inspired by Tokyo Night theme)
 const COLORS = {
   border: '#3b4261',
@@ -278,17 +420,34 @@ const COLORS = {
   magenta: '#bb9af7',
 };
 
-// Match string against pattern with wildcard support
-const patternCache = new Map();
-function matchesPattern(str, pattern) {
-  let regex = patternCache.get(pattern);
-  if (!regex) {
-    regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
-    patternCache.set(pattern, regex);
-  }
-  return regex.test(str);
+// Colors of the level badge on JSON log lines
+const LEVEL_COLORS = {
+  error: COLORS.error,
+  warn: COLORS.warning,
+  info: COLORS.cyan,
+  debug: COLORS.textDim,
+};
+
+// Status icon and color shown in the process bar
+function getStatusIndicator(proc) {
+  const status = proc?.status || 'stopped';
+  if (status === 'running' && proc.health === 'starting') return { icon: '◐', color: COLORS.warning };  // Readiness checks pending
+  if (status === 'running' && proc.health === 'unhealthy') return { icon: '▲', color: COLORS.error };  // Readiness timed out
+  if (status === 'running') return { icon: '●', color: COLORS.success };
+  if (status === 'crashed') return { icon: '!', color: COLORS.error };
+  if (status === 'waiting') return { icon: '◌', color: COLORS.warning };  // Waiting for dependencies
+  if (status === 'blocked') return { icon: '⊘', color: COLORS.error };  // Dependency cycle or failed dependency
+  if (status === 'restarting') return { icon: '↻', color: COLORS.warning };  // Waiting out restart backoff
+  if (status === 'gave-up') return { icon: '✖', color: COLORS.error };  // Crash loop hit maxRestarts
+  if (status === 'stopping') return { icon: '■', color: COLORS.warning };  // Waiting for graceful exit
+  return { icon: '○', color: COLORS.textDim };
 }
 
+// Statuses a process stays in until it's started again (headless mode waits for these)
+const SETTLED_STATUSES = ['exited', 'crashed', 'gave-up', 'blocked'];
+// Headless success conditions besides a process name (see checkHeadlessCompletion)
+const HEADLESS_CONDITIONS = ['all', 'first-failure'];
+
 function isIncluded(name, includePatterns) {
   if (!includePatterns) return true;
   return includePatterns.some(pattern => matchesPattern(name, pattern));
@@ -298,43 +457,666 @@ function isIgnored(name, ignorePatterns) {
   return ignorePatterns.some(pattern => matchesPattern(name, pattern));
 }
 
-// Parse npm scripts from package.json
-function parseNpmScripts(packageJsonPath) {
+// Scripts that startall offers for selection (lifecycle hooks and `start` are skipped)
+function getRunnableScripts(pkg) {
+  return Object.keys(pkg.scripts || {})
+    .filter(name => !name.startsWith('pre') && !name.startsWith('post') && name !== 'start');
+}
+
+// Check whether a path is a directory without throwing
+function isDirectory(path) {
+  try {
+    return statSync(path).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// List subdirectories that could hold workspace packages
+function listSubdirs(dir) {
   try {
+    return readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+      .map(entry => entry.name);
+  } catch {
+    return [];
+  }
+}
+
+// Collect a directory and all of its descendants (for `**` workspace globs)
+function collectDirsRecursive(dir, dirs = []) {
+  dirs.push(dir);
+  for (const name of listSubdirs(dir)) {
+    collectDirsRecursive(join(dir, name), dirs);
+  }
+  return dirs;
+}
+
+// Expand a workspace glob (e.g. "apps/*", "packages/**") into package directories
+function expandWorkspacePattern(rootDir, pattern) {
+  const segments = pattern
+    .replace(/\\/g, '/')
+    .replace(/^\.\//, '')
+    .replace(/\/+$/, '')
+    .split('/')
+    .filter(Boolean);
+  
+  let dirs = [rootDir];
+  for (const segment of segments) {
+    const next = [];
+    for (const dir of dirs) {
+      if (segment === '**') {
+        next.push(...collectDirsRecursive(dir));
+      } else if (segment.includes('*')) {
+        for (const name of listSubdirs(dir)) {
+          if (matchesPattern(name, segment)) next.push(join(dir, name));
+        }
+      } else if (isDirectory(join(dir, segment))) {
+        next.push(join(dir, segment));
+      }
+    }
+    dirs = next;
+  }
+  
+  return dirs.filter(dir => existsSync(join(dir, 'package.json')));
+}
+
+// Read the `packages` list from pnpm-workspace.yaml (only the simple list form is supported)
+function readPnpmWorkspacePatterns(rootDir) {
+  const yamlPath = join(rootDir, 'pnpm-workspace.yaml');
+  if (!existsSync(yamlPath)) return [];
+  
+  const patterns = [];
+  let inPackages = false;
+  for (const rawLine of readFileSync(yamlPath, 'utf8').split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+#.*$/, '');
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (inPackages) {
+      const item = line.match(/^\s+-\s*['"]?([^'"]+?)['"]?\s*$/);
+      if (item) {
+        patterns.push(item[1]);
+      } else if (!/^\s/.test(line)) {
+        inPackages = false;
+      }
+    }
+  }
+  return patterns;
+}
+
+// Get workspace globs from package.json `workspaces` (array or object form) and pnpm-workspace.yaml
+function getWorkspacePatterns(rootDir, pkg) {
+  const workspaces = Array.isArray(pkg.workspaces) ? pkg.workspaces : (pkg.workspaces?.packages || []);
+  return [...workspaces, ...readPnpmWorkspacePatterns(rootDir)];
+}
+
+// Find workspace package directories (patterns starting with `!` exclude matches)
+function findWorkspaceDirs(rootDir, pkg) {
+  const patterns = getWorkspacePatterns(rootDir, pkg);
+  const included = new Set();
+  const excluded = new Set();
+  
+  for (const pattern of patterns) {
+    const target = pattern.startsWith('!') ? excluded : included;
+    for (const dir of expandWorkspacePattern(rootDir, pattern.replace(/^!/, ''))) {
+      if (dir !== rootDir) target.add(dir);
+    }
+  }
+  
+  return [...included].filter(dir => !excluded.has(dir)).sort();
+}
+
+// Lockfiles that identify a package manager, checked in order
+const LOCKFILES = [
+  ['bun.lock', 'bun'],
+  ['bun.lockb', 'bun'],
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['package-lock.json', 'npm'],
+];
+const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn', 'bun'];
+
+// Detect the package manager used to run scripts:
+// startall.json `packageManager` > package.json `packageManager` field > lockfiles > npm
+function detectPackageManager(rootDir, config = {}) {
+  if (PACKAGE_MANAGERS.includes(config.packageManager)) {
+    return config.packageManager;
+  }
+  
+  try {
+    const pkg = JSON.parse(readFileSync(join(rootDir, 'package.json'), 'utf8'));
+    // Corepack format, e.g. "pnpm@9.1.0+sha512..."
+    const name = typeof pkg.packageManager === 'string' ? pkg.packageManager.split('@')[0] : null;
+    if (PACKAGE_MANAGERS.includes(name)) return name;
+  } catch {
+    // Fall through to lockfile detection
+  }
+  
+  for (const [lockfile, manager] of LOCKFILES) {
+    if (existsSync(join(rootDir, lockfile))) return manager;
+  }
+  return 'npm';
+}
+
+// Parse npm scripts from package.json (and every workspace package it declares)
+function parseNpmScripts(packageJsonPath, packageManager = 'npm') {
+  try {
+    const rootDir = dirname(packageJsonPath);
     const pkg = JSON.parse(readFileSync(packageJsonPath, 'utf8'));
-    const scripts = pkg.scripts || {};
-    
-    return Object.entries(scripts)
-      .filter(([name]) => !name.startsWith('pre') && !name.startsWith('post') && name !== 'start')
-      .map(([name, command]) => ({
-        name,
-        command: `npm run ${name}`,
-        displayName: name,
-      }));
+    const rootGroup = pkg.name || '(root)';
+    
+    const scripts = getRunnableScripts(pkg).map(name => ({
+      name,
+      command: `${packageManager} run ${name}`,
+      displayName: name,
+      packageScript: name,  // Script name inside its own package.json
+      cwd: rootDir,
+      group: rootGroup,
+    }));
+    
+    for (const dir of findWorkspaceDirs(rootDir, pkg)) {
+      let workspacePkg;
+      try {
+        workspacePkg = JSON.parse(readFileSync(join(dir, 'package.json'), 'utf8'));
+      } catch {
+        continue; // Skip workspace packages with unreadable package.json
+      }
+      
+      // Name workspace scripts by their relative directory, e.g. "apps/web:dev"
+      const relDir = relative(rootDir, dir).split(sep).join('/');
+      const group = workspacePkg.name ? `${relDir} (${workspacePkg.name})` : relDir;
+      for (const name of getRunnableScripts(workspacePkg)) {
+        scripts.push({
+          name: `${relDir}:${name}`,
+          command: `${packageManager} run ${name}`,
+          displayName: `${relDir}:${name}`,
+          packageScript: name,
+          cwd: dir,
+          group,
+        });
+      }
+    }
+    
+    return scripts;
   } catch (error) {
     console.error('Error reading package.json:', error.message);
     process.exit(1);
   }
 }
 
-// Load config
-function loadConfig() {
-  if (existsSync(CONFIG_FILE)) {
+// Build script entries for raw commands declared under `processes` in startall.json.
+// Entries are either a command string or { command, cwd, ... }; entries without a
+// command only hold options for an existing script.
+function parseCustomProcesses(config, rootDir) {
+  return Object.entries(config.processes || {})
+    .map(([name, options]) => [name, typeof options === 'string' ? { command: options } : options])
+    .filter(([, options]) => options && typeof options.command === 'string' && options.command.trim())
+    .map(([name, options]) => ({
+      name,
+      command: options.command,
+      displayName: name,
+      cwd: resolve(rootDir, options.cwd || '.'),
+      group: basename(CONFIG_FILE),
+      custom: true,  // Spawned directly, not through the package manager
+    }));
+}
+
+// Procfiles tried (in order) when startall.json doesn't name one
+const DEFAULT_PROCFILES = ['Procfile.dev', 'Procfile'];
+// docker compose files tried (in order) when `dockerCompose` is true
+const DEFAULT_COMPOSE_FILES = ['compose.yaml', 'compose.yml', 'docker-compose.yml', 'docker-compose.yaml'];
+
+// Resolve which Procfiles to read: `procfile` in startall.json (string, array or false),
+// otherwise the first default Procfile that exists
+function findProcfiles(rootDir, config) {
+  if (config.procfile === false) return [];
+  if (config.procfile) {
+    const files = Array.isArray(config.procfile) ? config.procfile : [config.procfile];
+    return files.map(file => resolve(rootDir, file)).filter(path => existsSync(path));
+  }
+  const found = DEFAULT_PROCFILES.map(file => join(rootDir, file)).find(path => existsSync(path));
+  return found ? [found] : [];
+}
+
+// Parse a foreman-style Procfile ("name: command" per line) into script entries
+function parseProcfile(procfilePath) {
+  const scripts = [];
+  for (const line of readFileSync(procfilePath, 'utf8').split(/\r?\n/)) {
+    const match = line.match(/^([A-Za-z0-9_-]+)\s*:\s*(.+)$/);
+    if (!match) continue; // Blank lines and comments
+    scripts.push({
+      name: match[1],
+      command: match[2].trim(),
+      displayName: match[1],
+      cwd: dirname(procfilePath),
+      group: basename(procfilePath),
+      custom: true,
+    });
+  }
+  return scripts;
+}
+
+// Resolve the docker compose file to import (opt-in via `dockerCompose`: true or a path)
+function findComposeFile(rootDir, config) {
+  if (!config.dockerCompose) return null;
+  if (typeof config.dockerCompose === 'string') {
+    const path = resolve(rootDir, config.dockerCompose);
+    return existsSync(path) ? path : null;
+  }
+  return DEFAULT_COMPOSE_FILES.map(file => join(rootDir, file)).find(path => existsSync(path)) || null;
+}
+
+// Read service names from the top-level `services:` map of a compose file and
+// turn each into a `docker compose up <service>` script entry
+function parseComposeServices(composePath) {
+  const services = [];
+  let inServices = false;
+  let serviceIndent = null;
+  
+  for (const rawLine of readFileSync(composePath, 'utf8').split(/\r?\n/)) {
+    if (!rawLine.trim() || rawLine.trim().startsWith('#')) continue;
+    const indent = rawLine.match(/^\s*/)[0].length;
+    
+    if (indent === 0) {
+      inServices = /^services\s*:\s*(#.*)?$/.test(rawLine);
+      continue;
+    }
+    if (!inServices) continue;
+    
+    // The first indented line sets the indentation of service keys
+    if (serviceIndent === null) serviceIndent = indent;
+    if (indent !== serviceIndent) continue;
+    
+    const match = rawLine.trim().match(/^['"]?([A-Za-z0-9._-]+)['"]?\s*:/);
+    if (match) services.push(match[1]);
+  }
+  
+  // Only pass -f for non-default file names so the command matches what users type
+  const fileArg = DEFAULT_COMPOSE_FILES.includes(basename(composePath)) ? '' : ` -f ${basename(composePath)}`;
+  return services.map(service => ({
+    name: service,
+    command: `docker compose${fileArg} up ${service}`,
+    displayName: service,
+    cwd: dirname(composePath),
+    group: basename(composePath),
+    custom: true,
+  }));
+}
+
+// Append discovered scripts, prefixing names that are already taken (e.g. "compose:web")
+function appendScripts(scripts, discovered, prefix) {
+  const names = new Set(scripts.map(s => s.name));
+  return [
+    ...scripts,
+    ...discovered.map(script => names.has(script.name)
+      ? { ...script, name: `${prefix}:${script.name}`, displayName: `${prefix}:${script.displayName}` }
+      : script),
+  ];
+}
+
+// Collect scripts from every discovery source: package.json (and workspaces),
+// Procfiles, docker compose services, then processes declared in startall.json
+function discoverScripts(rootDir, config, packageManager) {
+  const packageJsonPath = join(rootDir, 'package.json');
+  let scripts = existsSync(packageJsonPath) ? parseNpmScripts(packageJsonPath, packageManager) : [];
+  
+  for (const procfilePath of findProcfiles(rootDir, config)) {
+    scripts = appendScripts(scripts, parseProcfile(procfilePath), basename(procfilePath));
+  }
+  
+  const composePath = findComposeFile(rootDir, config);
+  if (composePath) {
+    scripts = appendScripts(scripts, parseComposeServices(composePath), 'compose');
+  }
+  
+  return mergeScripts(scripts, parseCustomProcesses(config, rootDir));
+}
+
+// Merge extra script entries into a list - entries with the same name replace the original
+function mergeScripts(scripts, extraScripts) {
+  const merged = [...scripts];
+  for (const extra of extraScripts) {
+    const idx = merged.findIndex(s => s.name === extra.name);
+    if (idx >= 0) {
+      merged[idx] = extra;
+    } else {
+      merged.push(extra);
+    }
+  }
+  return merged;
+}
+
+// Get the dependencies of a script from the `dependsOn` map in startall.json.
+// Entries are a list of names (wait until started) or { name: 'started' | 'completed' }.
+function getDependencies(dependsOn, scriptName) {
+  const entry = dependsOn?.[scriptName];
+  if (!entry) return [];
+  if (Array.isArray(entry)) {
+    return entry.map(name => ({ name, condition: 'started' }));
+  }
+  if (typeof entry === 'string') {
+    return [{ name: entry, condition: 'started' }];
+  }
+  return Object.entries(entry).map(([name, condition]) => ({
+    name,
+    condition: condition === 'completed' ? 'completed' : 'started',
+  }));
+}
+
+// Find a dependency cycle among the given names, returned as a path like [a, b, a]
+function findDependencyCycle(names, dependsOn) {
+  const nameSet = new Set(names);
+  for (const start of names) {
+    const path = [start];
+    let current = start;
+    while (true) {
+      const next = getDependencies(dependsOn, current).map(dep => dep.name).find(name => nameSet.has(name));
+      if (!next) break;
+      const seenAt = path.indexOf(next);
+      if (seenAt !== -1) return [...path.slice(seenAt), next];
+      path.push(next);
+      current = next;
+    }
+  }
+  return null;
+}
+
+// Order scripts so dependencies start first (Kahn's algorithm). Dependencies that
+// aren't in `names` are ignored. Scripts left over are in (or depend on) a cycle.
+function sortByDependencies(names, dependsOn) {
+  const nameSet = new Set(names);
+  const remaining = new Map(names.map(name => [
+    name,
+    new Set(getDependencies(dependsOn, name).map(dep => dep.name).filter(dep => nameSet.has(dep) && dep !== name)),
+  ]));
+  const order = [];
+  
+  while (remaining.size > 0) {
+    const ready = [...remaining.keys()].filter(name => remaining.get(name).size === 0);
+    if (ready.length === 0) break;
+    for (const name of ready) {
+      order.push(name);
+      remaining.delete(name);
+      for (const deps of remaining.values()) deps.delete(name);
+    }
+  }
+  
+  const blocked = [...remaining.keys()];
+  return { order, blocked, cycle: blocked.length > 0 ? findDependencyCycle(blocked, dependsOn) : null };
+}
+
+// Output lines kept in memory per process (config `scrollback`, overridable per process)
+const DEFAULT_SCROLLBACK = 1000;
+// Values the settings screen cycles through for `scrollback`
+const SCROLLBACK_PRESETS = [500, 1000, 5000, 10000, 50000];
+
+// Lines rendered in a paused pane; older lines are still searched and jumped to
+const PAUSED_RENDER_LIMIT = 2000;
+
+// Triggered actions (see lib/triggers.js)
+const FLASH_DURATION = 10000;  // How long a triggered process flashes in the process bar
+const MAX_TRIGGER_HITS = 50;  // Recent hits kept for the popup
+
+// Optional PTY backend. node-pty runs processes in a pseudo-terminal (so tools that
+// check isatty keep their interactive UI) and @xterm/headless keeps a virtual screen
+// of their output for attach mode. Both are optional dependencies, loaded in main().
+let ptyModule = null;
+let HeadlessTerminal = null;
+async function loadPtyBackend() {
+  try {
+    const mod = await import('node-pty');
+    ptyModule = mod.spawn ? mod : mod.default;
+  } catch {
+    ptyModule = null;
+  }
+  try {
+    const mod = await import('@xterm/headless');
+    HeadlessTerminal = mod.Terminal || mod.default?.Terminal || null;
+  } catch {
+    HeadlessTerminal = null;
+  }
+}
+
+// Spawn a shell command in a PTY and wrap it to look like a piped ChildProcess
+// (stdout/stderr/stdin, pid, exitCode and the exit event), so the rest of the manager
+// doesn't need to know which backend a process uses. stderr is merged into stdout.
+function spawnPtyProcess(command, { cwd, env, cols, rows }) {
+  const isWindows = process.platform === 'win32';
+  const shell = isWindows ? (process.env.ComSpec || 'cmd.exe') : '/bin/sh';
+  const args = isWindows ? ['/d', '/s', '/c', command] : ['-c', command];
+  const term = ptyModule.spawn(shell, args, { name: 'xterm-256color', cols, rows, cwd, env });
+  
+  const proc = new EventEmitter();
+  proc.pty = term;
+  proc.pid = term.pid;
+  proc.exitCode = null;
+  proc.signalCode = null;
+  proc.stdout = Object.assign(new EventEmitter(), {
+    pause: () => term.pause(),
+    resume: () => term.resume(),
+  });
+  proc.stderr = Object.assign(new EventEmitter(), { pause() {}, resume() {} });
+  proc.stdin = {
+    get writable() { return proc.exitCode === null && proc.signalCode === null; },
+    write: (data) => term.write(data),
+  };
+  proc.cols = cols;
+  proc.rows = rows;
+  proc.resize = (newCols, newRows) => {
+    if (newCols === proc.cols && newRows === proc.rows) return;
+    proc.cols = newCols;
+    proc.rows = newRows;
     try {
-      return JSON.parse(readFileSync(CONFIG_FILE, 'utf8'));
+      term.resize(newCols, newRows);
     } catch {
-      return { defaultSelection: [], ignore: [], shortcuts: {} };
+      // Already exited
+    }
+  };
+  
+  term.onData(data => proc.stdout.emit('data', data));
+  term.onExit(({ exitCode, signal }) => {
+    proc.exitCode = signal ? null : exitCode;
+    proc.signalCode = signal || null;
+    proc.emit('exit', proc.exitCode, proc.signalCode);
+  });
+  
+  return proc;
+}
+
+// xterm 256-color palette: 16 ANSI colors, a 6x6x6 color cube, then 24 grays
+const XTERM_PALETTE = (() => {
+  const palette = [
+    '#000000', '#cd0000', '#00cd00', '#cdcd00', '#0000ee', '#cd00cd', '#00cdcd', '#e5e5e5',
+    '#7f7f7f', '#ff0000', '#00ff00', '#ffff00', '#5c5cff', '#ff00ff', '#00ffff', '#ffffff',
+  ];
+  const hex = value => value.toString(16).padStart(2, '0');
+  const steps = [0, 95, 135, 175, 215, 255];
+  for (const r of steps) {
+    for (const g of steps) {
+      for (const b of steps) palette.push(`#${hex(r)}${hex(g)}${hex(b)}`);
     }
   }
-  return { defaultSelection: [], ignore: [], shortcuts: {} };
+  for (let i = 0; i < 24; i++) palette.push(`#${hex(8 + i * 10).repeat(3)}`);
+  return palette;
+})();
+
+// Resolve a headless xterm cell color to a hex string (null = terminal default)
+function getCellColor(cell, isForeground) {
+  const color = isForeground ? cell.getFgColor() : cell.getBgColor();
+  if (isForeground ? cell.isFgRGB() : cell.isBgRGB()) return `#${color.toString(16).padStart(6, '0')}`;
+  if (isForeground ? cell.isFgPalette() : cell.isBgPalette()) return XTERM_PALETTE[color] || null;
+  return null;
 }
 
-// Save config
-function saveConfig(config) {
+// Convert one row of a headless xterm screen to StyledText, grouping cells with the
+// same colors into a chunk. The cursor (if on this row) is drawn inverted.
+function xtermRowToStyledText(bufferLine, cols, cursorX = -1) {
+  const chunks = [];
+  let runText = '';
+  let runStyle = null;
+  
+  const flush = () => {
+    if (!runText) return;
+    let chunk = fg(runStyle.fg || COLORS.text)(runText);
+    if (runStyle.bg) chunk = bg(runStyle.bg)(chunk);
+    if (runStyle.bold) chunk = bold(chunk);
+    chunks.push(chunk);
+    runText = '';
+  };
+  
+  for (let x = 0; x < cols; x++) {
+    const cell = bufferLine?.getCell(x);
+    // Skip the second half of wide characters
+    if (cell && cell.getWidth() === 0) continue;
+    
+    let fgColor = cell ? getCellColor(cell, true) : null;
+    let bgColor = cell ? getCellColor(cell, false) : null;
+    if (!!cell?.isInverse() !== (x === cursorX)) {
+      [fgColor, bgColor] = [bgColor || '#000000', fgColor || COLORS.text];
+    }
+    const style = { fg: fgColor, bg: bgColor, bold: !!cell?.isBold() };
+    
+    if (!runStyle || style.fg !== runStyle.fg || style.bg !== runStyle.bg || style.bold !== runStyle.bold) {
+      flush();
+      runStyle = style;
+    }
+    runText += cell?.getChars() || ' ';
+  }
+  flush();
+  
+  return new StyledText(chunks);
+}
+
+// Translate a key press into the bytes a terminal would send for it
+const TERMINAL_KEY_SEQUENCES = {
+  return: '\r', enter: '\r', tab: '\t', backspace: '\x7f', escape: '\x1b', space: ' ',
+  up: '\x1b[A', down: '\x1b[B', right: '\x1b[C', left: '\x1b[D',
+  home: '\x1b[H', end: '\x1b[F', pageup: '\x1b[5~', pagedown: '\x1b[6~', delete: '\x1b[3~',
+};
+function keyToTerminalInput(key) {
+  // The raw sequence from the outer terminal is already what the process expects
+  if (key.sequence) return key.sequence;
+  if (key.ctrl && key.name?.length === 1 && key.name >= 'a' && key.name <= 'z') {
+    return String.fromCharCode(key.name.charCodeAt(0) - 96);
+  }
+  return TERMINAL_KEY_SEQUENCES[key.name] || (key.name?.length === 1 ? key.name : '');
+}
+
+// Normalize processes.<name>.restart: a policy name or { policy, maxRestarts, window, backoff, maxBackoff }
+function getRestartPolicy(restart) {
+  const options = typeof restart === 'string' ? { policy: restart } : (restart || {});
+  return {
+    policy: ['on-failure', 'always'].includes(options.policy) ? options.policy : 'never',
+    maxRestarts: options.maxRestarts ?? 5,  // Restarts allowed within the window before giving up
+    window: options.window ?? 60000,  // ms
+    backoff: options.backoff ?? 1000,  // Initial delay in ms, doubled for each recent restart
+    maxBackoff: options.maxBackoff ?? 30000,
+  };
+}
+
+// Check whether a TCP port accepts connections
+function probeTcpPort(port, host = 'localhost', timeout = 1000) {
+  return new Promise(resolvePromise => {
+    const socket = connect({ port, host });
+    const finish = (result) => {
+      socket.destroy();
+      resolvePromise(result);
+    };
+    socket.setTimeout(timeout, () => finish(false));
+    socket.once('connect', () => finish(true));
+    socket.once('error', () => finish(false));
+  });
+}
+
+// Check whether an HTTP URL responds with a 2xx status
+async function probeHttpUrl(url, timeout = 1000) {
   try {
-    writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
-  } catch (error) {
-    console.error('Error saving config:', error.message);
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+    return response.ok;
+  } catch {
+    return false;
+  }
+}
+
+// Display options a profile can set, with their defaults
+const PROFILE_DISPLAY_OPTIONS = {
+  showLineNumbers: true,
+  showTimestamps: false,
+  showPerformanceMetrics: false,
+};
+
+// Pane layout of a profile: the name of an entry in `layouts` or an inline serialized tree
+function getProfileLayout(config, profile) {
+  if (typeof profile?.layout === 'string') return config.layouts?.[profile.layout] || null;
+  return profile?.layout || null;
+}
+
+// JSON Schema for startall.json, published alongside index.js for editors
+function loadConfigSchema() {
+  try {
+    return JSON.parse(readFileSync(new URL('./startall.schema.json', import.meta.url), 'utf8'));
+  } catch {
+    return null;  // Validation is skipped if the schema is missing
+  }
+}
+const CONFIG_SCHEMA = loadConfigSchema();
+
+// Parse and validate a config file's text (see lib/config-schema.js)
+const parseConfigText = createConfigParser(CONFIG_SCHEMA);
+
+// Format config errors as `file:line:column path: message` lines
+function formatConfigErrors(file, errors) {
+  return errors.map(({ line, column, path, message }) =>
+    `${file}:${line}:${column} ${path ? `${path}: ` : ''}${message}`);
+}
+
+// Config layers of the project in CONFIG_FILE (see lib/config.js)
+const configStore = createConfigStore({ getPaths: () => getConfigLayerPaths(CONFIG_FILE), parse: parseConfigText });
+
+// Problems found by the last loadConfig(), as formatted { errors, warnings } lines. Unknown
+// properties are only warnings (a newer startall may know them) unless `strict` is set, as it
+// is for `startall validate`
+function getConfigProblems(strict = false) {
+  const layers = configStore.layers;
+  const problems = { errors: [], warnings: [] };
+  if (!layers) return problems;
+  for (const layer of CONFIG_LAYERS) {
+    const file = relative(process.cwd(), layers[layer].path) || layers[layer].path;
+    const isWarning = error => error.unknown && !strict;
+    problems.errors.push(...formatConfigErrors(file, layers[layer].errors.filter(error => !isWarning(error))));
+    problems.warnings.push(...formatConfigErrors(file, layers[layer].errors.filter(isWarning)));
+  }
+  return problems;
+}
+
+// Load config, merging the user, project and local layers
+function loadConfig() {
+  return configStore.load();
+}
+
+// Layer that sets a config key, or null if it has its default value
+function getConfigSource(key) {
+  return configStore.getSource(key);
+}
+
+// Short description of where each config layer lives, for the settings header
+function describeConfigLayers() {
+  const layers = configStore.layers;
+  if (!layers) return '';
+  return CONFIG_LAYERS.map(layer => {
+    const { path, exists, errors } = layers[layer];
+    const shownPath = path.startsWith(homedir()) ? `~${path.slice(homedir().length)}` : path;
+    return `${layer}: ${shownPath}${errors.length > 0 ? ' (invalid)' : exists ? '' : ' (none)'}`;
+  }).join('  ');
+}
+
+// Save config to the layers the keys belong to
+function saveConfig(config) {
+  for (const { path, message } of configStore.save(config)) {
+    console.error(`Error saving config to ${path}:`, message);
   }
 }
 
@@ -352,42 +1134,82 @@ const debouncedSaveConfig = debounce(saveConfig, 500);
 
 // Process Manager
 class ProcessManager {
-  constructor(renderer, scripts) {
+  // Without a renderer (headless mode) nothing is drawn; runHeadless() starts the processes
+  // and prints their output instead. The remaining options come from the command line.
+  constructor(renderer, scripts, config = loadConfig(), packageManager = 'npm', {
+    headless = null, selection = null, selectAll = false, countdown = COUNTDOWN_SECONDS, layout = null, profile = null,
+    warnings = [],
+  } = {}) {
     this.renderer = renderer;
-    this.config = loadConfig();
+    this.headless = headless;  // { success } in headless mode: the condition that ends the run
+    this.configWarnings = warnings;  // Config problems that don't stop startall, shown on the selection screen
+    this.config = config;
+    this.packageManager = packageManager;  // Runner used for package.json scripts
     this.allScripts = scripts;  // Keep reference to all scripts (unfiltered)
     this.scripts = scripts
       .filter(s => isIncluded(s.name, this.config.include))
       .filter(s => !isIgnored(s.name, this.config.ignore || []));
     this.phase = 'selection'; // 'selection' | 'running' | 'settings'
     this.selectedScripts = new Set(this.config.defaultSelection);
-    this.countdown = COUNTDOWN_SECONDS;
+    this.countdownSeconds = countdown;  // Selection screen countdown (null = wait for Enter)
+    this.countdown = countdown;
+    this.startupLayout = null;  // Serialized pane tree used instead of paneLayout on start
+    this.activeProfile = null;  // Name of the applied profile (null = saved selection and layout)
     this.selectedIndex = 0;
     this.processes = new Map();
     this.processRefs = new Map();
-    this.outputLines = [];
+    this.readinessChecks = new Map();  // Pending readiness checks per process
+    this.restartTimers = new Map();  // Scheduled auto-restarts per process
+    this.restartHistory = new Map();  // Timestamps of recent auto-restarts per process (for the window)
+    this.restartCounts = new Map();  // Auto-restarts per process since the last manual start
+    this.fileWatchers = new Map();  // Active watch-mode state per process
+    this.stoppingProcesses = new Map();  // Processes sent a stop signal that haven't exited yet
+    this.pendingRestarts = new Set();  // Restarts waiting for the old process to exit
+    this.shuttingDown = false;  // Set once a graceful shutdown has begun
+    this.outputBuffers = new Map();  // scriptName -> ring buffer of that process's output lines
     this.totalLinesReceived = 0;  // Track total lines ever received (never resets)
     this.filter = '';
-    this.maxOutputLines = 1000;  // Lines kept in memory
+    this.scrollback = this.config.scrollback || DEFAULT_SCROLLBACK;  // Lines kept in memory per process
     this.maxDomLines = 150;  // Lines kept in DOM (buffer for varying heights)
     this.lineRenderables = new Map();  // Reusable TextRenderables per pane
+    this.updatedOutputLines = new Set();  // Already rendered lines whose text changed (partial lines)
+    this.levelCounts = new Map();  // scriptName -> { error, warn } line counts since the process started
+    this.levelCountsChanged = false;  // Whether the process bar's counters need refreshing
+    this.triggers = compileTriggers(this.config.triggers);  // Output patterns that run actions
+    this.triggerHits = [];  // Recent trigger hits, newest first
+    this.flashingProcesses = new Map();  // scriptName -> time its process bar flash ends
+    this.flashInterval = null;  // Blinks flashing processes in the process bar
+    this.flashOn = false;  // Current blink phase
+    this.logFiles = new Map();  // scriptName -> log file state for this session (null = not logging)
+    this.logFlushInterval = null;  // Writes buffered log lines to disk
     this.maxVisibleLines = null;  // Calculated dynamically based on screen height
     this.isPaused = false;  // Whether output scrolling is paused
     this.wasPaused = false;  // Track previous pause state to detect changes
     this.isFilterMode = false;  // Whether in filter input mode
+    this.isSearchMode = false;  // Whether in search input mode
+    this.searchQuery = '';  // Search pattern highlighted in every pane
+    this.searchMatchLine = null;  // Output line of the current search match (n/N)
+    this.searchPatternCache = null;  // { query, pattern } of the last compiled search
     this.isNamingMode = false;  // Whether in pane naming input mode
     this.namingModeText = '';  // Text being typed for pane name
     this.showLineNumbers = this.config.showLineNumbers !== undefined ? this.config.showLineNumbers : true;  // Whether to show line numbers
     this.showTimestamps = this.config.showTimestamps !== undefined ? this.config.showTimestamps : false;  // Whether to show timestamps
     this.isInputMode = false;  // Whether in stdin input mode
     this.inputModeText = '';  // Text being typed for stdin
+    this.ptyScreens = new Map();  // scriptName -> headless terminal mirroring a PTY process's screen
+    this.attachedProcess = null;  // PTY process receiving raw keystrokes (attach mode)
+    this.attachedPaneId = null;  // Pane showing the attached process's screen
+    this.attachedScreenRows = [];  // Row renderables of the attached screen
     
     // Settings menu state
-    this.settingsSection = 'display';  // 'display' | 'ignore' | 'include' | 'scripts' | 'shortcuts'
+    this.settingsSection = 'display';  // One of SETTINGS_SECTIONS
     this.settingsIndex = 0;  // Current selection index within section
     this.isAddingPattern = false;  // Whether typing a new pattern
     this.newPatternText = '';  // Text being typed for new pattern
+    this.isNamingProfile = false;  // Whether typing a name to save the current setup as a profile
+    this.profileNameText = '';  // Text being typed for the profile name
     this.isAssigningShortcut = false;  // Whether waiting for a key to assign as shortcut
+    this.shortcutKeyError = '';  // Why the last key pressed while assigning was refused
     this.shortcutScriptName = '';  // Script name being assigned a shortcut
     this.settingsContainer = null;  // UI reference
     this.previousPhase = 'selection';  // Track where we came from
@@ -399,6 +1221,10 @@ class ProcessManager {
     this.commandOverlayStatus = 'running';  // 'running' | 'exited' | 'crashed'
     this.commandOverlayProcess = null;  // Process reference
     
+    // JSON line inspect popup state
+    this.inspectLine = null;  // JSON log line shown expanded (null = popup closed)
+    this.showTriggerHits = false;  // Whether the recent trigger hits popup is visible
+    
     // Run command modal state
     this.showRunCommandModal = false;  // Whether the run command picker is visible
     this.runCommandModalIndex = 0;  // Selected index in the modal
@@ -449,6 +1275,14 @@ class ProcessManager {
     this.selectionContainer = null;
     this.runningContainer = null;
     
+    // Command-line choices win over the profile's
+    if (profile) this.applyProfile(profile);
+    if (selectAll || selection) {
+      this.selectedScripts = new Set(selectAll ? this.scripts.map(s => s.name) : selection);
+    }
+    if (layout) this.startupLayout = layout;
+    
+    if (!this.renderer) return;
     this.setupKeyboardHandlers();
     this.setupMouseHandlers();
     this.buildSelectionUI();
@@ -457,13 +1291,21 @@ class ProcessManager {
 
   setupKeyboardHandlers() {
     this.renderer.keyInput.on('keypress', (key) => {
+      // While attached, every key goes to the process (Ctrl+] detaches)
+      if (this.attachedProcess && this.phase === 'running') {
+        this.handleAttachedInput(key);
+        return;
+      }
+      
       // Handle Ctrl+C (if exitOnCtrlC is false)
       if (key.ctrl && key.name === 'c') {
-        this.cleanup();
-        this.renderer.destroy();
+        this.quit();
         return;
       }
       
+      // Ignore other keys while processes are being stopped
+      if (this.shuttingDown) return;
+      
       this.handleInput(key.name, key);
       this.render();
     });
@@ -492,7 +1334,14 @@ class ProcessManager {
             this.selectedScripts.add(scriptName);
           }
           // Reset countdown when selection changes
-          this.countdown = COUNTDOWN_SECONDS;
+          this.countdown = this.countdownSeconds;
+        }
+      } else if (keyName === 'p') {
+        // Cycle through the profiles, then back to the saved selection
+        const names = [null, ...Object.keys(this.config.profiles || {})];
+        if (names.length > 1) {
+          this.applyProfile(names[(names.indexOf(this.activeProfile) + 1) % names.length]);
+          this.countdown = this.countdownSeconds;
         }
       } else if (keyName === 'o') {
         // Open settings menu (options)
@@ -515,7 +1364,7 @@ class ProcessManager {
               this.selectedScripts.add(scriptName);
             }
             // Reset countdown when selection changes
-            this.countdown = COUNTDOWN_SECONDS;
+            this.countdown = this.countdownSeconds;
           }
         }
       }
@@ -532,6 +1381,24 @@ class ProcessManager {
         return;
       }
       
+      // Handle trigger hits popup
+      if (this.showTriggerHits) {
+        if (keyName === 'escape' || keyName === 'q' || (keyName === 't' && keyEvent.shift)) {
+          this.showTriggerHits = false;
+          this.buildRunningUI();
+        } else if (keyName === 'c') {
+          this.triggerHits = [];
+          this.buildRunningUI();
+        }
+        return;
+      }
+      
+      // Handle JSON line inspect popup
+      if (this.inspectLine) {
+        this.handleInspectInput(keyName);
+        return;
+      }
+      
       // Handle run command modal
       if (this.showRunCommandModal) {
         this.handleRunCommandModalInput(keyName, keyEvent);
@@ -593,15 +1460,39 @@ class ProcessManager {
           this.buildRunningUI(); // Update UI to show name change
         }
       }
+      // If in search mode, handle search input
+      else if (this.isSearchMode) {
+        if (keyName === 'escape') {
+          this.clearSearch();
+        } else if (keyName === 'enter' || keyName === 'return') {
+          this.isSearchMode = false;
+          if (this.searchQuery) {
+            this.jumpToSearchMatch(-1); // Start from the newest match
+          } else {
+            this.buildRunningUI();
+          }
+        } else if (keyName === 'backspace') {
+          this.searchQuery = this.searchQuery.slice(0, -1);
+          this.buildRunningUI(); // Update highlights
+        } else if (keyName === 'space') {
+          this.searchQuery += ' ';
+          this.buildRunningUI(); // Update highlights
+        } else if (keyName && keyName.length === 1 && !keyEvent.ctrl && !keyEvent.meta) {
+          this.searchQuery += keyEvent.shift ? keyName.toUpperCase() : keyName;
+          this.buildRunningUI(); // Update highlights
+        }
+      }
       // If in filter mode, handle filter input
       else if (this.isFilterMode) {
         const pane = findPaneById(this.paneRoot, this.focusedPaneId);
         if (keyName === 'escape') {
           this.isFilterMode = false;
           if (pane) pane.filter = '';
+          this.savePaneLayout();
           this.buildRunningUI(); // Rebuild to clear filter
         } else if (keyName === 'enter' || keyName === 'return') {
           this.isFilterMode = false;
+          this.savePaneLayout(); // Queries are saved with the layout
           this.buildRunningUI(); // Rebuild with filter
         } else if (keyName === 'backspace') {
           if (pane) pane.filter = (pane.filter || '').slice(0, -1);
@@ -610,15 +1501,14 @@ class ProcessManager {
           if (pane) pane.filter = (pane.filter || '') + ' ';
           this.buildRunningUI(); // Update UI to show filter change
         } else if (keyName && keyName.length === 1 && !keyEvent.ctrl && !keyEvent.meta) {
-          if (pane) pane.filter = (pane.filter || '') + keyName;
+          if (pane) pane.filter = (pane.filter || '') + (keyEvent.shift ? keyName.toUpperCase() : keyName);
           this.buildRunningUI(); // Update UI to show filter change
         }
       } else {
         // Normal mode - handle commands
         if (keyName === 'q') {
           this.savePaneLayout();
-          this.cleanup();
-          this.renderer.destroy();
+          this.quit();
         } else if (keyName === '\\') {
           // Open split/pane menu (VSCode-friendly alternative to Ctrl+b)
           this.showSplitMenu = true;
@@ -664,12 +1554,24 @@ class ProcessManager {
           this.isFilterMode = true;
           const pane = findPaneById(this.paneRoot, this.focusedPaneId);
           if (pane) pane.filter = '';
+        } else if (keyName === '?') {
+          // Enter search mode (highlights matches without hiding lines)
+          this.isSearchMode = true;
+          this.searchQuery = '';
+          this.searchMatchLine = null;
+          this.buildRunningUI();
+        } else if (keyName === 'n' && this.searchQuery) {
+          // Jump to the next (n) or previous (N) search match in the focused pane
+          this.jumpToSearchMatch(keyEvent.shift ? -1 : 1);
         } else if (keyName === 'n') {
           // Enter naming mode for focused pane
           this.isNamingMode = true;
           const pane = findPaneById(this.paneRoot, this.focusedPaneId);
           this.namingModeText = pane?.name || '';
           this.buildRunningUI(); // Rebuild to show naming input
+        } else if (keyName === 'escape' && this.searchQuery) {
+          // Clear the search before any filters
+          this.clearSearch();
         } else if (keyName === 'escape') {
           // Clear filter on focused pane
           const pane = findPaneById(this.paneRoot, this.focusedPaneId);
@@ -701,6 +1603,12 @@ class ProcessManager {
           if (scriptName) {
             this.restartProcess(scriptName);
           }
+        } else if (keyName === 'w') {
+          // Toggle watch mode for selected process
+          const scriptName = this.scripts[this.selectedIndex]?.name;
+          if (scriptName) {
+            this.toggleWatching(scriptName);
+          }
         } else if (keyName === 's') {
           // Stop/start selected process
           const scriptName = this.scripts[this.selectedIndex]?.name;
@@ -724,6 +1632,23 @@ class ProcessManager {
             pane.colorFilter = colors[(currentIndex + 1) % colors.length];
             this.buildRunningUI();
           }
+        } else if (keyName === 'm') {
+          // Cycle the minimum level shown in the focused pane
+          const pane = findPaneById(this.paneRoot, this.focusedPaneId);
+          if (pane) {
+            const levels = [null, 'info', 'warn', 'error'];
+            pane.minLevel = levels[(levels.indexOf(pane.minLevel) + 1) % levels.length];
+            this.savePaneLayout();
+            this.buildRunningUI();
+          }
+        } else if (keyName === '!') {
+          // Toggle stderr-only output on focused pane
+          const pane = findPaneById(this.paneRoot, this.focusedPaneId);
+          if (pane) {
+            pane.stderrOnly = !pane.stderrOnly;
+            this.savePaneLayout();
+            this.buildRunningUI();
+          }
         } else if (keyName === 'tab') {
           // Navigate to next pane
           this.navigateToNextPane(1);
@@ -761,6 +1686,22 @@ class ProcessManager {
             this.inputModeText = '';
             this.buildRunningUI();
           }
+        } else if (keyName === 'g') {
+          // Show the selected process's log file path
+          const scriptName = this.scripts[this.selectedIndex]?.name;
+          if (scriptName) {
+            this.showLogPath(scriptName);
+          }
+        } else if (keyName === 't' && keyEvent.shift) {
+          // Show recent trigger hits (Shift+T)
+          this.showTriggerHits = true;
+          this.buildRunningUI();
+        } else if (keyName === 'v') {
+          // Expand a JSON log line of the focused pane
+          this.openInspectPopup();
+        } else if (keyName === 'a') {
+          // Attach to the PTY process shown in the focused pane
+          this.attachToFocusedPane();
         } else if (keyName === 'e') {
           // Open run command modal
           this.showRunCommandModal = true;
@@ -799,7 +1740,7 @@ class ProcessManager {
               this.selectedScripts.add(scriptName);
             }
             // Reset countdown when selection changes
-            this.countdown = COUNTDOWN_SECONDS;
+            this.countdown = this.countdownSeconds;
             // Update focused index
             this.selectedIndex = clickedIndex;
             this.render();
@@ -831,7 +1772,41 @@ class ProcessManager {
     }
   }
 
+  // Apply a named profile: its selection, pane layout and display options. null goes back to
+  // the saved selection, layout and display options
+  applyProfile(name) {
+    const profile = name ? this.config.profiles?.[name] : null;
+    if (name && !profile) return;
+    
+    this.activeProfile = name;
+    this.selectedScripts = new Set(profile?.selection || this.config.defaultSelection || []);
+    this.startupLayout = getProfileLayout(this.config, profile);
+    for (const [option, defaultValue] of Object.entries(PROFILE_DISPLAY_OPTIONS)) {
+      this[option] = profile?.[option] ?? this.config[option] ?? defaultValue;
+    }
+  }
+  
+  // Save the current selection, pane layout and display options as a named profile
+  saveProfile(name) {
+    const profile = { selection: Array.from(this.selectedScripts) };
+    const layout = this.paneRoot ? serializePaneTree(this.paneRoot) : this.startupLayout || this.config.paneLayout;
+    if (layout) profile.layout = layout;
+    for (const option of Object.keys(PROFILE_DISPLAY_OPTIONS)) {
+      profile[option] = this[option];
+    }
+    
+    if (!this.config.profiles) this.config.profiles = {};
+    this.config.profiles[name] = profile;
+    this.activeProfile = name;
+    saveConfig(this.config);
+  }
+  
   startCountdown() {
+    if (this.countdownSeconds === null) return;
+    if (this.countdownSeconds === 0) {
+      this.startProcesses();
+      return;
+    }
     this.countdownInterval = setInterval(() => {
       this.countdown--;
       this.render();
@@ -851,90 +1826,750 @@ class ProcessManager {
       process.exit(0);
     }
     
-    this.config.defaultSelection = selected;
-    saveConfig(this.config);
+    // A profile's selection is not remembered as the default one
+    if (!this.activeProfile) {
+      this.config.defaultSelection = selected;
+      saveConfig(this.config);
+    }
     this.phase = 'running';
     this.selectedIndex = 0;
     
-    // Load pane layout from config or create default
-    if (this.config.paneLayout) {
-      this.paneRoot = deserializePaneTree(this.config.paneLayout);
+    // Load pane layout from the command line or config, or create default
+    const paneLayout = this.startupLayout || this.config.paneLayout;
+    if (paneLayout) {
+      this.paneRoot = deserializePaneTree(paneLayout);
     } else {
       this.paneRoot = createPane([]); // Empty array means show all processes
     }
-    this.focusedPaneId = this.paneRoot.id;
-    
-    selected.forEach(scriptName => {
-      this.startProcess(scriptName);
-    });
+    this.focusedPaneId = this.paneRoot.id;
+    
+    this.startSelectedProcesses(selected);
+    this.render();
+  }
+  
+  // Start in dependency order; dependents wait until their dependencies are up
+  startSelectedProcesses(selected) {
+    const { order, blocked, cycle } = sortByDependencies(selected, this.config.dependsOn);
+    this.startOrder = order;
+    
+    // Report cycles instead of waiting forever
+    const cycleText = cycle ? cycle.join(' -> ') : '';
+    blocked.forEach(scriptName => {
+      this.processes.set(scriptName, { status: 'blocked' });
+      this.addOutputLine(scriptName, `Not started: dependency cycle ${cycleText}`);
+    });
+    
+    order.forEach(scriptName => {
+      this.startWatching(scriptName);
+      const pending = this.getPendingDependencies(scriptName);
+      if (pending.length > 0) {
+        this.processes.set(scriptName, { status: 'waiting' });
+        this.addOutputLine(scriptName, `Waiting for ${pending.join(', ')}`);
+      } else {
+        this.startProcess(scriptName);
+      }
+    });
+  }
+  
+  // Check a single dependency: 'satisfied', 'pending' or 'failed'.
+  // 'started' dependencies with readiness checks count once they're ready.
+  getDependencyState(dependency) {
+    const proc = this.processes.get(dependency.name);
+    const status = proc?.status;
+    if (status === 'crashed' || status === 'blocked' || status === 'gave-up') return 'failed';
+    if (dependency.condition === 'completed') {
+      return status === 'exited' ? 'satisfied' : 'pending';
+    }
+    if (status === 'running') {
+      return !proc.health || proc.health === 'ready' ? 'satisfied' : 'pending';
+    }
+    return status === 'exited' ? 'satisfied' : 'pending';
+  }
+  
+  // Names of selected dependencies that aren't satisfied yet
+  getPendingDependencies(scriptName) {
+    return getDependencies(this.config.dependsOn, scriptName)
+      .filter(dep => this.selectedScripts.has(dep.name) && dep.name !== scriptName)
+      .filter(dep => this.getDependencyState(dep) !== 'satisfied')
+      .map(dep => dep.name);
+  }
+  
+  // Start waiting processes whose dependencies are now satisfied (in start order, so
+  // chains like db -> api -> web resolve in one pass)
+  startWaitingProcesses() {
+    if (this.shuttingDown) return;
+    let changed = false;
+    for (const scriptName of this.startOrder || []) {
+      if (this.processes.get(scriptName)?.status !== 'waiting') continue;
+      
+      const dependencies = getDependencies(this.config.dependsOn, scriptName)
+        .filter(dep => this.selectedScripts.has(dep.name) && dep.name !== scriptName);
+      const failed = dependencies.find(dep => this.getDependencyState(dep) === 'failed');
+      
+      if (failed) {
+        this.processes.set(scriptName, { status: 'blocked' });
+        this.addOutputLine(scriptName, `Not started: dependency ${failed.name} failed`);
+        changed = true;
+      } else if (this.getPendingDependencies(scriptName).length === 0) {
+        this.startProcess(scriptName);
+        changed = true;
+      }
+    }
+    if (changed) {
+      this.updateProcessBar();
+      this.checkHeadlessCompletion();
+    }
+  }
+
+  // Per-script options from the `processes` map in startall.json
+  getProcessOptions(scriptName) {
+    const options = this.config.processes?.[scriptName];
+    return options && typeof options === 'object' ? options : {};
+  }
+  
+  // Start the readiness checks configured under processes.<name>.ready:
+  // an output pattern, a TCP port and/or an HTTP URL. All configured checks must pass.
+  startReadinessChecks(scriptName) {
+    const ready = this.getProcessOptions(scriptName).ready;
+    if (!ready) return false;
+    
+    const check = {
+      pending: new Set(),
+      pattern: null,
+      startedAt: Date.now(),
+      probeInterval: null,
+      timeoutTimer: null,
+      probing: false,
+    };
+    
+    if (ready.pattern) {
+      try {
+        check.pattern = new RegExp(ready.pattern);
+        check.pending.add('pattern');
+      } catch (err) {
+        this.addOutputLine(scriptName, `Invalid readiness pattern: ${err.message}`);
+      }
+    }
+    if (ready.port) check.pending.add('port');
+    if (ready.url) check.pending.add('url');
+    if (check.pending.size === 0) return false;
+    
+    this.readinessChecks.set(scriptName, check);
+    
+    // Poll port/URL checks until they pass. A probe still in flight when the process restarts
+    // belongs to the old check and must not pass the new one
+    if (ready.port || ready.url) {
+      const isCurrent = () => this.readinessChecks.get(scriptName) === check;
+      check.probeInterval = setInterval(async () => {
+        if (check.probing) return;
+        check.probing = true;
+        if (check.pending.has('port') && await probeTcpPort(ready.port, ready.host) && isCurrent()) {
+          this.passReadinessCheck(scriptName, 'port');
+        }
+        if (check.pending.has('url') && await probeHttpUrl(ready.url) && isCurrent()) {
+          this.passReadinessCheck(scriptName, 'url');
+        }
+        check.probing = false;
+      }, ready.interval || 1000);
+    }
+    
+    // Flag as unhealthy if not ready in time (checks keep running so it can recover)
+    const timeout = ready.timeout || 60000;
+    check.timeoutTimer = setTimeout(() => {
+      const proc = this.processes.get(scriptName);
+      if (this.readinessChecks.get(scriptName) !== check || proc?.status !== 'running') return;
+      this.processes.set(scriptName, { ...proc, health: 'unhealthy' });
+      this.addOutputLine(scriptName, `Not ready after ${Math.round(timeout / 1000)}s (waiting for ${[...check.pending].join(', ')})`);
+      this.updateProcessBar();
+    }, timeout);
+    
+    return true;
+  }
+  
+  // Mark one readiness check as passed; the process is ready once none are pending
+  passReadinessCheck(scriptName, checkName) {
+    const check = this.readinessChecks.get(scriptName);
+    if (!check || !check.pending.delete(checkName) || check.pending.size > 0) return;
+    
+    this.stopReadinessChecks(scriptName);
+    const proc = this.processes.get(scriptName);
+    if (proc?.status !== 'running') return;
+    
+    this.processes.set(scriptName, { ...proc, health: 'ready' });
+    const seconds = ((Date.now() - check.startedAt) / 1000).toFixed(1);
+    this.addOutputLine(scriptName, `Ready after ${seconds}s`);
+    this.updateProcessBar();
+    this.startWaitingProcesses();
+  }
+  
+  stopReadinessChecks(scriptName) {
+    const check = this.readinessChecks.get(scriptName);
+    if (!check) return;
+    clearInterval(check.probeInterval);
+    clearTimeout(check.timeoutTimer);
+    this.readinessChecks.delete(scriptName);
+  }
+  
+  // Resolve a script's environment: process.env, then the global envFile/env from
+  // startall.json, then the script's own envFile/env from processes.<name>
+  getScriptEnvironment(script) {
+    const options = this.getProcessOptions(script.name);
+    return buildEnvironment(
+      { ...process.env, FORCE_COLOR: '1', COLORTERM: 'truecolor' },
+      [
+        { envFile: this.config.envFile, env: this.config.env, baseDir: process.cwd(), label: 'env' },
+        { envFile: options.envFile, env: options.env, baseDir: script.cwd || process.cwd(), label: `processes.${script.name}.env` },
+      ]
+    );
+  }
+  
+  // Spawn a script: package scripts go through the package manager (already part of
+  // script.command), custom processes run their raw command
+  spawnScript(script, env = this.getScriptEnvironment(script).env) {
+    // Scripts with `pty: true` run in a pseudo-terminal when node-pty is available
+    if (this.getProcessOptions(script.name).pty && ptyModule) {
+      const { cols, rows } = this.getPtySize();
+      return spawnPtyProcess(script.command, { cwd: script.cwd || process.cwd(), env, cols, rows });
+    }
+    
+    // Run inside the script's own directory (workspace packages have their own cwd)
+    return spawn(script.command, {
+      cwd: script.cwd,
+      env,
+      shell: true,
+    });
+  }
+
+  // Default PTY size: what a single full-screen pane can show
+  getPtySize() {
+    const width = this.renderer?.width || process.stdout.columns || 120;
+    const height = this.renderer?.height || process.stdout.rows || 30;
+    return { cols: Math.max(20, width - 3), rows: Math.max(5, height - 6) };
+  }
+  
+  // Mirror a PTY process's output into a headless terminal so attach mode can show its
+  // actual screen (cursor movement, redraws, colors) rather than log lines
+  createPtyScreen(scriptName, proc) {
+    this.ptyScreens.get(scriptName)?.dispose();
+    this.ptyScreens.delete(scriptName);
+    if (!HeadlessTerminal) return;
+    
+    const screen = new HeadlessTerminal({ cols: proc.cols, rows: proc.rows });
+    this.ptyScreens.set(scriptName, screen);
+    proc.stdout.on('data', (data) => {
+      screen.write(data, () => {
+        if (this.attachedProcess === scriptName) this.scheduleRender();
+      });
+    });
+  }
+
+  startProcess(scriptName) {
+    const script = this.scripts.find(s => s.name === scriptName);
+    if (!script) return;
+
+    const { env, missingFiles } = this.getScriptEnvironment(script);
+    for (const file of missingFiles) {
+      this.addOutputLine(scriptName, `[env] Cannot read ${relative(process.cwd(), file) || file}`);
+    }
+    if (this.getProcessOptions(scriptName).pty && !ptyModule) {
+      this.addOutputLine(scriptName, '[pty] node-pty is not installed - falling back to pipes');
+    }
+    for (const trigger of this.triggers) {
+      if (trigger.errors.length > 0 && triggerAppliesTo(trigger, scriptName)) {
+        this.addOutputLine(scriptName, `[trigger] ${trigger.name}: ${trigger.errors.join(', ')}`);
+      }
+    }
+    const proc = this.spawnScript(script, env);
+    this.levelCounts.delete(scriptName);
+    if (proc.pty) {
+      this.createPtyScreen(scriptName, proc);
+    }
+    this.openLogFile(scriptName)?.pending.push(`${new Date().toISOString()} system Started (pid ${proc.pid})`);
+
+    // Assemble each stream separately so partial lines from stdout and stderr don't mix
+    const assemblers = [['stdout', proc.stdout], ['stderr', proc.stderr]].map(([streamName, stream]) => {
+      const assembler = createLineAssembler({
+        onLine: (text, complete) => this.addOutputLine(scriptName, text, streamName, !complete),
+        onUpdate: (line, text, complete) => this.updateOutputLine(line, text, complete),
+      });
+      stream.on('data', (data) => assembler.push(data.toString()));
+      stream.on('end', () => assembler.flush());
+      return assembler;
+    });
+
+    proc.on('exit', (code) => {
+      assemblers.forEach(assembler => assembler.flush());
+      // Only update status if this is still the current process (it may have been
+      // stopped or replaced by a restart)
+      const isCurrent = this.processRefs.get(scriptName) === proc;
+      if (isCurrent) {
+        const status = code === 0 ? 'exited' : 'crashed';
+        this.stopReadinessChecks(scriptName);
+        this.processes.set(scriptName, { status, exitCode: code });
+      }
+      this.addOutputLine(scriptName, `Process exited with code ${code}`);
+      if (isCurrent) {
+        this.scheduleAutoRestart(scriptName, code);
+      }
+      this.startWaitingProcesses();
+      this.updateProcessBar();
+      this.checkHeadlessCompletion();
+    });
+
+    this.processRefs.set(scriptName, proc);
+    this.cancelAutoRestart(scriptName);
+    this.stopReadinessChecks(scriptName);
+    this.processes.set(scriptName, { status: 'running', pid: proc.pid });
+    // Processes with readiness checks stay "starting" until the checks pass
+    if (this.startReadinessChecks(scriptName)) {
+      this.processes.set(scriptName, { status: 'running', pid: proc.pid, health: 'starting' });
+    }
+    this.startWaitingProcesses();
+  }
+
+  // Apply the restart policy after a process exits: restart with exponential backoff,
+  // or give up once it has restarted maxRestarts times within the window
+  scheduleAutoRestart(scriptName, exitCode) {
+    const restart = getRestartPolicy(this.getProcessOptions(scriptName).restart);
+    if (restart.policy === 'never' || (restart.policy === 'on-failure' && exitCode === 0)) return;
+    
+    const now = Date.now();
+    const history = (this.restartHistory.get(scriptName) || []).filter(time => now - time < restart.window);
+    
+    if (history.length >= restart.maxRestarts) {
+      this.restartHistory.set(scriptName, history);
+      this.processes.set(scriptName, { status: 'gave-up', exitCode });
+      this.addOutputLine(scriptName, `Gave up after ${history.length} restarts in ${Math.round(restart.window / 1000)}s`);
+      return;
+    }
+    
+    const delay = Math.min(restart.backoff * 2 ** history.length, restart.maxBackoff);
+    history.push(now);
+    this.restartHistory.set(scriptName, history);
+    this.processes.set(scriptName, { status: 'restarting', exitCode });
+    this.addOutputLine(scriptName, `Restarting in ${(delay / 1000).toFixed(1)}s (${restart.policy})`);
+    
+    this.restartTimers.set(scriptName, setTimeout(() => {
+      this.restartTimers.delete(scriptName);
+      if (this.destroyed || this.processes.get(scriptName)?.status !== 'restarting') return;
+      this.restartCounts.set(scriptName, (this.restartCounts.get(scriptName) || 0) + 1);
+      this.startProcess(scriptName);
+      this.updateProcessBar();
+    }, delay));
+  }
+  
+  cancelAutoRestart(scriptName) {
+    clearTimeout(this.restartTimers.get(scriptName));
+    this.restartTimers.delete(scriptName);
+  }
+  
+  // Forget crash-loop state when the user starts or restarts a process by hand
+  resetRestartState(scriptName) {
+    this.cancelAutoRestart(scriptName);
+    this.restartHistory.delete(scriptName);
+    this.restartCounts.delete(scriptName);
+  }
+  
+  // Start watch mode for a script with `watch` globs configured. Changes to matching
+  // files (minus `watchIgnore`) restart the process after `watchDebounce` ms.
+  startWatching(scriptName) {
+    const options = this.getProcessOptions(scriptName);
+    const script = this.allScripts.find(s => s.name === scriptName);
+    if (!options.watch || !script || this.fileWatchers.has(scriptName)) return false;
+    
+    const root = script.cwd || process.cwd();
+    const globs = [].concat(options.watch);
+    const includes = globs.map(globToRegExp);
+    const ignores = [...DEFAULT_WATCH_IGNORE, ...[].concat(options.watchIgnore || [])].map(globToRegExp);
+    const state = { watchers: new Map(), changed: new Set(), timer: null };  // watchers: dir -> FSWatcher
+    
+    // One non-recursive watcher per directory, so ignored trees like node_modules are never walked
+    const watchDir = dir => {
+      if (state.watchers.has(dir)) return;
+      try {
+        const watcher = watch(join(root, dir), (event, filename) => onChange(dir, filename));
+        watcher.on('error', () => {
+          watcher.close();
+          state.watchers.delete(dir);
+        });
+        state.watchers.set(dir, watcher);
+      } catch {
+        // The directory went away before it could be watched
+      }
+    };
+    
+    const onChange = (dir, filename) => {
+      if (!filename) return;
+      const file = [dir, filename.toString().split(sep).join('/')].filter(Boolean).join('/');
+      if (isDirectory(join(root, file))) {
+        // New directories are watched too (unless ignored)
+        if (!state.watchers.has(file)) listWatchDirs(root, file, ignores).forEach(watchDir);
+        return;
+      }
+      if (state.watchers.has(file)) {
+        // A watched directory was removed; it's picked up again if it comes back
+        for (const [dir, watcher] of state.watchers) {
+          if (dir === file || dir.startsWith(`${file}/`)) {
+            watcher.close();
+            state.watchers.delete(dir);
+          }
+        }
+        return;
+      }
+      if (!includes.some(regex => regex.test(file)) || ignores.some(regex => regex.test(file))) return;
+      
+      state.changed.add(file);
+      clearTimeout(state.timer);
+      state.timer = setTimeout(() => {
+        const files = [...state.changed];
+        state.changed.clear();
+        const status = this.processes.get(scriptName)?.status;
+        // Don't bring back processes the user stopped or that are still waiting
+        if (this.destroyed || status === 'stopped' || status === 'waiting') return;
+        const label = files.length === 1 ? files[0] : `${files[0]} and ${files.length - 1} more`;
+        this.addOutputLine(scriptName, `[watch] ${label} changed - restarting`);
+        this.restartProcess(scriptName);
+      }, options.watchDebounce ?? 300);
+    };
+    
+    // Watch each glob from its static base directory down
+    for (const baseDir of new Set(globs.map(getGlobBase))) {
+      const dirs = listWatchDirs(root, baseDir, ignores);
+      if (dirs.length === 0) {
+        this.addOutputLine(scriptName, `[watch] Cannot watch ${baseDir || '.'}: not a readable directory`);
+      }
+      dirs.forEach(watchDir);
+    }
+    
+    this.fileWatchers.set(scriptName, state);
+    return true;
+  }
+  
+  stopWatching(scriptName) {
+    const state = this.fileWatchers.get(scriptName);
+    if (!state) return;
+    clearTimeout(state.timer);
+    state.watchers.forEach(watcher => watcher.close());
+    this.fileWatchers.delete(scriptName);
+  }
+  
+  // Toggle watch mode for a process (bound to `w`)
+  toggleWatching(scriptName) {
+    if (this.fileWatchers.has(scriptName)) {
+      this.stopWatching(scriptName);
+      this.addOutputLine(scriptName, '[watch] Watching disabled');
+    } else if (this.startWatching(scriptName)) {
+      this.addOutputLine(scriptName, `[watch] Watching ${[].concat(this.getProcessOptions(scriptName).watch).join(', ')}`);
+    } else {
+      this.addOutputLine(scriptName, '[watch] No watch patterns configured');
+    }
+  }
+  
+  // Status indicator for the process bar, with the auto-restart count next to the icon
+  getProcessStatusIndicator(scriptName) {
+    const { icon, color } = getStatusIndicator(this.processes.get(scriptName));
+    const restarts = this.restartCounts.get(scriptName);
+    return { icon: restarts ? `${icon}↻${restarts}` : icon, color };
+  }
+
+  // stream is 'stdout' or 'stderr' for process output, 'system' for startall's own messages.
+  // Partial lines (still being written) are logged to disk once they're complete.
+  addOutputLine(processName, text, stream = 'system', partial = false) {
+    // Always store the output line, even when paused
+    // Pre-compute lowercase for faster filtering (the text's is cached on first filter)
+    const line = {
+      process: processName,
+      processLower: processName.toLowerCase(),
+      stream,
+      text,
+      timestamp: Date.now(),
+      lineNumber: ++this.totalLinesReceived,  // Track absolute line number
+    };
+    this.getOutputBuffer(processName).push(line);
+    if (partial) {
+      line.partial = true;
+    } else {
+      line.json = stream === 'system' ? null : parseJsonLogLine(text);
+      this.writeLogLine(line);
+      this.countLineLevel(line);
+      this.checkTriggers(line);
+      if (this.headless) this.printHeadlessLine(line);
+    }
+    
+    this.checkReadinessPattern(processName, text);
+    
+    // Only render if not paused - this prevents new output from appearing
+    // when the user is reviewing history
+    if (!this.isPaused) {
+      this.scheduleRender();
+    }
+    return line;
+  }
+  
+  // Count error and warning lines per process for the process bar
+  countLineLevel(line) {
+    if (line.stream === 'system') return;
+    const level = getLineLevel(line);
+    if (level !== 'error' && level !== 'warn') return;
+    const counts = this.levelCounts.get(line.process) || { error: 0, warn: 0 };
+    counts[level]++;
+    this.levelCounts.set(line.process, counts);
+    this.levelCountsChanged = true;
+  }
+  
+  // Record a hit for each trigger matching a complete output line and run its actions,
+  // unless it already fired for the process within its cooldown
+  checkTriggers(line) {
+    if (line.stream === 'system' || this.triggers.length === 0) return;
+    
+    for (const { trigger, fire } of matchTriggers(this.triggers, line.process, getLineSearchText(line).plain)) {
+      this.triggerHits.unshift({ trigger: trigger.name, line });
+      this.triggerHits.length = Math.min(this.triggerHits.length, MAX_TRIGGER_HITS);
+      if (fire) this.runTriggerActions(trigger, line);
+    }
+  }
+  
+  runTriggerActions(trigger, line) {
+    const script = this.scripts.find(s => s.name === line.process);
+    const displayName = script?.displayName || line.process;
+    const isRunning = this.phase === 'running' && !this.destroyed;
+    
+    for (const action of trigger.actions) {
+      if (action === 'bell') {
+        process.stdout.write('\x07');
+      } else if (action === 'notify') {
+        process.stdout.write(buildNotificationSequence(`startall: ${displayName}`, getLineDisplayText(line), this.config.notifyProtocol));
+      } else if (action === 'flash') {
+        this.flashProcess(line.process);
+      } else if (action === 'pause' && isRunning && !this.isPaused) {
+        this.isPaused = true;
+        this.updateStreamPauseState();
+        this.buildRunningUI();
+      } else if (action === 'focus' && isRunning) {
+        this.focusProcessPane(line.process);
+      }
+    }
+  }
+  
+  // Blink a process's name in the process bar for a while
+  flashProcess(scriptName) {
+    this.flashingProcesses.set(scriptName, Date.now() + FLASH_DURATION);
+    if (this.flashInterval) return;
+    
+    this.flashInterval = setInterval(() => {
+      const now = Date.now();
+      for (const [name, until] of this.flashingProcesses) {
+        if (until <= now) this.flashingProcesses.delete(name);
+      }
+      this.flashOn = this.flashingProcesses.size > 0 && !this.flashOn;
+      if (this.flashingProcesses.size === 0) {
+        clearInterval(this.flashInterval);
+        this.flashInterval = null;
+      }
+      this.updateProcessBar();
+    }, 500);
+  }
+  
+  // Name chunk for the process bar, inverted while the process flashes
+  formatProcessName(script, nameColor) {
+    if (this.flashOn && this.flashingProcesses.has(script.name)) {
+      return bg(COLORS.error)(fg(COLORS.bg)(script.displayName));
+    }
+    return fg(nameColor)(script.displayName);
+  }
+  
+  // Select a process and focus the pane that shows it (preferring a pane dedicated to it)
+  focusProcessPane(scriptName) {
+    const panes = getAllPaneIds(this.paneRoot).map(id => findPaneById(this.paneRoot, id));
+    const pane = panes.find(p => p.processes.includes(scriptName) && this.isProcessVisibleInPane(scriptName, p))
+      || panes.find(p => this.isProcessVisibleInPane(scriptName, p));
+    if (pane) this.focusedPaneId = pane.id;
+    
+    const index = this.scripts.findIndex(s => s.name === scriptName);
+    if (index !== -1) this.selectedIndex = index;
+    this.buildRunningUI();
+  }
+  
+  // Error and warning counters shown after a process's name in the process bar
+  getLevelCountBadges(scriptName) {
+    const counts = this.levelCounts.get(scriptName);
+    return {
+      errorBadge: fg(COLORS.error)(counts?.error ? ` ✖${counts.error}` : ''),
+      warnBadge: fg(COLORS.warning)(counts?.warn ? ` △${counts.warn}` : ''),
+    };
+  }
+  
+  // Each process keeps its own scrollback so a chatty process can't push out the others'
+  // history; processes.<name>.scrollback overrides the global limit
+  getOutputBuffer(processName) {
+    let buffer = this.outputBuffers.get(processName);
+    if (!buffer) {
+      buffer = createRingBuffer(this.getScrollbackLimit(processName));
+      this.outputBuffers.set(processName, buffer);
+    }
+    return buffer;
+  }
+  
+  getScrollbackLimit(processName) {
+    return this.getProcessOptions(processName).scrollback || this.scrollback;
+  }
+  
+  getBufferedLineCount() {
+    let count = 0;
+    for (const buffer of this.outputBuffers.values()) count += buffer.length;
+    return count;
+  }
+  
+  // Rough size of the stored output: UTF-16 strings plus per-line object overhead
+  estimateBufferMemory() {
+    let bytes = 0;
+    for (const buffer of this.outputBuffers.values()) {
+      for (let i = 0; i < buffer.length; i++) {
+        const line = buffer.at(i);
+        const searchLength = line.search ? line.search.plain.length + line.search.lower.length : 0;
+        bytes += (line.text.length + searchLength + line.processLower.length) * 2 + 120;
+      }
+    }
+    return bytes;
+  }
+  
+  // Processes whose output a pane shows (its process list minus hidden ones)
+  getPaneBufferNames(pane) {
+    return [...this.outputBuffers.keys()].filter(name => this.isProcessVisibleInPane(name, pane));
+  }
+  
+  // Replace the text of a stored line (an unfinished line that grew or was rewritten
+  // with `\r`); panes that already show it refresh it in place
+  updateOutputLine(line, text, complete = false) {
+    const changed = line.text !== text;
+    if (changed) {
+      line.text = text;
+      line.search = null;  // Cached filter text and level
+      line.level = undefined;
+      this.updatedOutputLines.add(line);
+      this.checkReadinessPattern(line.process, text);
+    }
+    
+    // Only complete lines are parsed as JSON; a parsed line re-renders compactly
+    let parsed = false;
+    if (complete && (line.partial || changed)) {
+      line.json = line.stream === 'system' ? null : parseJsonLogLine(line.text);
+      line.level = undefined;  // JSON levels and times take precedence
+      line.timeString = undefined;
+      parsed = !!line.json;
+      if (parsed) this.updatedOutputLines.add(line);
+    }
+    if (complete && line.partial) {
+      line.partial = false;
+      this.writeLogLine(line);
+      this.countLineLevel(line);
+      this.checkTriggers(line);
+      if (this.headless) this.printHeadlessLine(line);
+    }
+    
+    if ((changed || parsed) && !this.isPaused) {
+      this.scheduleRender();
+    }
+  }
+  
+  // Where a process's log file goes, or null if logging is off for it
+  getLogFilePath(scriptName) {
+    const settings = getLogSettings(this.config.logs, this.getProcessOptions(scriptName).log);
+    if (!settings.enabled) return null;
+    return join(resolve(process.cwd(), settings.dir), getLogFileName(scriptName));
+  }
+  
+  // Open a process's log file for this session: prune old rotated files, rotate the
+  // file if it's already full or too old and queue the session header. Returns null
+  // when the process isn't logged.
+  openLogFile(scriptName) {
+    if (this.logFiles.has(scriptName)) return this.logFiles.get(scriptName);
+    
+    const path = this.getLogFilePath(scriptName);
+    if (!path) {
+      this.logFiles.set(scriptName, null);
+      return null;
+    }
+    
+    const settings = getLogSettings(this.config.logs, this.getProcessOptions(scriptName).log);
+    const script = this.allScripts.find(s => s.name === scriptName);
+    const header = [
+      `===== startall session ${new Date().toISOString()} =====`,
+      `process: ${scriptName}`,
+      `command: ${script?.command || ''}`,
+      `cwd: ${script?.cwd || process.cwd()}`,
+    ].join('\n');
+    const log = { path, settings, header, size: 0, startedAt: Date.now(), pending: [header] };
+    
+    try {
+      mkdirSync(dirname(path), { recursive: true });
+      pruneOldLogs(dirname(path), settings.maxAgeDays);
+      log.size = existsSync(path) ? statSync(path).size : 0;
+      if (log.size > 0) log.startedAt = getLogFileStartTime(path);
+      if (needsLogRotation(log, 0, settings)) {
+        rotateLogFile(path, settings.maxFiles);
+        log.size = 0;
+        log.startedAt = Date.now();
+      }
+    } catch (err) {
+      this.logFiles.set(scriptName, null);
+      this.addOutputLine(scriptName, `[log] Cannot write ${path}: ${err.message}`);
+      return null;
+    }
     
-    this.render();
+    this.logFiles.set(scriptName, log);
+    if (!this.logFlushInterval && !this.shuttingDown) {
+      this.logFlushInterval = setInterval(() => this.flushLogs(), 1000);
+    }
+    return log;
   }
-
-  startProcess(scriptName) {
-    const script = this.scripts.find(s => s.name === scriptName);
-    if (!script) return;
-
-    const proc = spawn('npm', ['run', scriptName], {
-      env: {
-        ...process.env,
-        FORCE_COLOR: '1',
-        COLORTERM: 'truecolor',
-      },
-      shell: true,
-    });
-
-    proc.stdout.on('data', (data) => {
-      const text = data.toString();
-      const lines = text.split('\n');
-      lines.forEach(line => {
-        if (line.trim()) {
-          this.addOutputLine(scriptName, line);
-        }
-      });
-    });
-
-    proc.stderr.on('data', (data) => {
-      const text = data.toString();
-      const lines = text.split('\n');
-      lines.forEach(line => {
-        if (line.trim()) {
-          this.addOutputLine(scriptName, line);
+  
+  writeLogLine(line) {
+    const log = this.openLogFile(line.process);
+    if (!log) return;
+    const text = log.settings.stripAnsi ? stripAnsi(line.text) : line.text;
+    log.pending.push(`${new Date(line.timestamp).toISOString()} ${line.stream.padEnd(6)} ${text}`);
+  }
+  
+  // Append buffered lines to the log files, rotating files that would grow past maxSize or
+  // are older than maxAgeDays (each new file starts with the session header again)
+  flushLogs() {
+    for (const [scriptName, log] of this.logFiles.entries()) {
+      if (!log || log.pending.length === 0) continue;
+      
+      let data = log.pending.join('\n') + '\n';
+      log.pending = [];
+      try {
+        if (needsLogRotation(log, Buffer.byteLength(data), log.settings)) {
+          rotateLogFile(log.path, log.settings.maxFiles);
+          pruneOldLogs(dirname(log.path), log.settings.maxAgeDays);
+          log.size = 0;
+          log.startedAt = Date.now();
+          if (!data.startsWith(log.header)) data = `${log.header}\n${data}`;
         }
-      });
-    });
-
-    proc.on('exit', (code) => {
-      const status = code === 0 ? 'exited' : 'crashed';
-      this.processes.set(scriptName, { status, exitCode: code });
-      this.addOutputLine(scriptName, `Process exited with code ${code}`);
-    });
-
-    this.processRefs.set(scriptName, proc);
-    this.processes.set(scriptName, { status: 'running', pid: proc.pid });
+        appendFileSync(log.path, data);
+        log.size += Buffer.byteLength(data);
+      } catch (err) {
+        this.logFiles.set(scriptName, null);
+        this.addOutputLine(scriptName, `[log] Cannot write ${log.path}: ${err.message}`);
+      }
+    }
   }
-
-  addOutputLine(processName, text) {
-    // Always store the output line, even when paused
-    // Pre-compute lowercase for faster filtering
-    this.outputLines.push({
-      process: processName,
-      processLower: processName.toLowerCase(),
-      text,
-      textLower: text.toLowerCase(),
-      timestamp: Date.now(),
-      lineNumber: ++this.totalLinesReceived,  // Track absolute line number
-    });
-    
-    // Use shift() instead of slice() to avoid creating new array
-    while (this.outputLines.length > this.maxOutputLines) {
-      this.outputLines.shift();
+  
+  // Print where the selected process is logging to
+  showLogPath(scriptName) {
+    const path = this.logFiles.get(scriptName)?.path || this.getLogFilePath(scriptName);
+    if (path) {
+      this.addOutputLine(scriptName, `[log] ${path}`);
+    } else {
+      this.addOutputLine(scriptName, '[log] Not logging to disk - set "logs" in startall.json or "log" for this process');
     }
-    
-    // Only render if not paused - this prevents new output from appearing
-    // when the user is reviewing history
-    if (!this.isPaused) {
-      this.scheduleRender();
+  }
+  
+  checkReadinessPattern(processName, text) {
+    const readinessCheck = this.readinessChecks.get(processName);
+    if (readinessCheck?.pattern && readinessCheck.pending.has('pattern') && readinessCheck.pattern.test(stripAnsi(text))) {
+      this.passReadinessCheck(processName, 'pattern');
     }
   }
   
@@ -948,7 +2583,7 @@ class ProcessManager {
   
   scheduleRender() {
     // Throttle renders to avoid overwhelming the terminal
-    if (this.destroyed || this.renderScheduled) return;
+    if (this.destroyed || this.renderScheduled || !this.renderer) return;
     
     this.renderScheduled = true;
     this.hasPendingLines = true;
@@ -962,44 +2597,146 @@ class ProcessManager {
     }, this.minRenderInterval);
   }
 
-  stopProcess(scriptName) {
-    const proc = this.processRefs.get(scriptName);
-    if (proc && proc.pid) {
-      // Use tree-kill to kill the entire process tree
-      kill(proc.pid, 'SIGTERM', (err) => {
+  // Send the process tree its stop signal (processes.<name>.stopSignal, then the global
+  // stopSignal, default SIGTERM) and escalate to SIGKILL after the grace period
+  // (stopTimeout, default 5000ms). Resolves once the process has exited.
+  terminateProcess(scriptName, proc) {
+    const options = this.getProcessOptions(scriptName);
+    const signal = options.stopSignal || this.config.stopSignal || 'SIGTERM';
+    const timeout = options.stopTimeout ?? this.config.stopTimeout ?? 5000;
+    
+    return new Promise(resolvePromise => {
+      if (!proc.pid || proc.exitCode !== null || proc.signalCode !== null) {
+        resolvePromise();
+        return;
+      }
+      
+      this.stoppingProcesses.set(scriptName, proc);
+      let forceTimer = null;
+      const finish = () => {
+        clearTimeout(graceTimer);
+        clearTimeout(forceTimer);
+        if (this.stoppingProcesses.get(scriptName) === proc) {
+          this.stoppingProcesses.delete(scriptName);
+        }
+        resolvePromise();
+      };
+      
+      const graceTimer = setTimeout(() => {
+        this.addOutputLine(scriptName, `Did not stop within ${timeout / 1000}s - sending SIGKILL`);
+        kill(proc.pid, 'SIGKILL');
+        // Don't wait forever if the exit event never arrives
+        forceTimer = setTimeout(finish, 1000);
+      }, timeout);
+      
+      proc.once('exit', finish);
+      
+      // Use tree-kill to signal the entire process tree
+      kill(proc.pid, signal, (err) => {
         if (err) {
-          // If SIGTERM fails, try SIGKILL
+          // If the signal fails, try SIGKILL
           kill(proc.pid, 'SIGKILL');
         }
       });
-      this.processRefs.delete(scriptName);
-      this.processes.set(scriptName, { status: 'stopped' });
+    });
+  }
+  
+  stopProcess(scriptName) {
+    this.cancelAutoRestart(scriptName);
+    const proc = this.processRefs.get(scriptName);
+    if (!proc || !proc.pid) return Promise.resolve();
+    
+    this.processRefs.delete(scriptName);
+    this.stopReadinessChecks(scriptName);
+    this.processes.set(scriptName, { status: 'stopping' });
+    this.updateProcessBar();
+    
+    return this.terminateProcess(scriptName, proc).then(() => {
+      // Don't overwrite the status if the process was started again meanwhile
+      if (this.processes.get(scriptName)?.status === 'stopping') {
+        this.processes.set(scriptName, { status: 'stopped' });
+      }
       this.addOutputLine(scriptName, 'Process stopped');
-    }
+      this.updateProcessBar();
+    });
   }
 
   restartProcess(scriptName) {
-    this.stopProcess(scriptName);
-    setTimeout(() => {
+    // Restart once the old process has exited (so ports are free again)
+    if (this.pendingRestarts.has(scriptName)) return;
+    this.pendingRestarts.add(scriptName);
+    this.resetRestartState(scriptName);
+    
+    this.stopProcess(scriptName).then(() => {
+      this.pendingRestarts.delete(scriptName);
+      if (this.shuttingDown) return;
       this.startProcess(scriptName);
       this.render();
-    }, 100);
+    });
   }
 
   toggleProcess(scriptName) {
     const proc = this.processes.get(scriptName);
-    if (proc?.status === 'running') {
+    if (proc?.status === 'stopping') {
+      // Already on its way down
+      return;
+    } else if (proc?.status === 'running') {
       this.stopProcess(scriptName);
+    } else if (proc?.status === 'waiting' || proc?.status === 'restarting') {
+      // Cancel waiting for dependencies or a pending auto-restart
+      this.cancelAutoRestart(scriptName);
+      this.processes.set(scriptName, { status: 'stopped' });
+      this.addOutputLine(scriptName, 'Process stopped');
     } else {
+      this.resetRestartState(scriptName);
       this.startProcess(scriptName);
     }
   }
   
+  // Attach to the focused pane's process when it shows exactly one PTY process:
+  // keystrokes are forwarded raw and the pane renders the process's terminal screen
+  attachToFocusedPane() {
+    const pane = findPaneById(this.paneRoot, this.focusedPaneId);
+    const visible = this.scripts.filter(script => this.isProcessVisibleInPane(script.name, pane));
+    if (!pane || visible.length !== 1) return;
+    
+    const scriptName = visible[0].name;
+    if (!this.processRefs.get(scriptName)?.pty) {
+      this.addOutputLine(scriptName, '[attach] Only processes running in a PTY can be attached (set "pty": true)');
+      return;
+    }
+    
+    this.attachedProcess = scriptName;
+    this.attachedPaneId = pane.id;
+    this.buildRunningUI();
+  }
+  
+  detachProcess() {
+    this.attachedProcess = null;
+    this.attachedPaneId = null;
+    this.attachedScreenRows = [];
+    this.buildRunningUI();
+  }
+  
+  handleAttachedInput(key) {
+    if (key.sequence === '\x1d' || (key.ctrl && key.name === ']')) {
+      this.detachProcess();
+      return;
+    }
+    
+    const proc = this.processRefs.get(this.attachedProcess);
+    const input = keyToTerminalInput(key);
+    if (proc?.pty && proc.stdin.writable && input) {
+      proc.stdin.write(input);
+    }
+  }
+  
   sendInputToProcess(scriptName, input) {
     const proc = this.processRefs.get(scriptName);
     if (proc && proc.stdin && proc.stdin.writable) {
       try {
-        proc.stdin.write(input);
+        // A terminal sends carriage return for Enter
+        proc.stdin.write(proc.pty ? input.replace(/\n$/, '\r') : input);
         // Echo the input in the output for visibility
         this.addOutputLine(scriptName, `> ${input.trim()}`);
       } catch (err) {
@@ -1014,6 +2751,12 @@ class ProcessManager {
       if (keyName === 'escape') {
         this.isAssigningShortcut = false;
         this.shortcutScriptName = '';
+        this.shortcutKeyError = '';
+        this.buildSettingsUI();
+        return;
+      } else if (RESERVED_SHORTCUT_KEYS.has(keyName) && !keyEvent.ctrl && !keyEvent.meta && !keyEvent.shift) {
+        // Built-in keys are handled before shortcuts, so refuse them
+        this.shortcutKeyError = `"${keyName}" is a built-in key`;
         this.buildSettingsUI();
         return;
       } else if (keyName && keyName.length === 1 && !keyEvent.ctrl && !keyEvent.meta && !keyEvent.shift) {
@@ -1041,12 +2784,35 @@ class ProcessManager {
         saveConfig(this.config);
         this.isAssigningShortcut = false;
         this.shortcutScriptName = '';
+        this.shortcutKeyError = '';
         this.buildSettingsUI();
         return;
       }
       return;
     }
     
+    // Handle text input mode for naming a profile
+    if (this.isNamingProfile) {
+      if (keyName === 'escape') {
+        this.isNamingProfile = false;
+        this.profileNameText = '';
+      } else if (keyName === 'enter' || keyName === 'return') {
+        if (this.profileNameText.trim()) {
+          this.saveProfile(this.profileNameText.trim());
+        }
+        this.isNamingProfile = false;
+        this.profileNameText = '';
+      } else if (keyName === 'backspace') {
+        this.profileNameText = this.profileNameText.slice(0, -1);
+      } else if (keyName === 'space') {
+        this.profileNameText += ' ';
+      } else if (keyName && keyName.length === 1 && !keyEvent.ctrl && !keyEvent.meta) {
+        this.profileNameText += keyEvent.shift ? keyName.toUpperCase() : keyName;
+      }
+      this.buildSettingsUI();
+      return;
+    }
+    
     // Handle text input mode for adding patterns
     if (this.isAddingPattern) {
       if (keyName === 'escape') {
@@ -1096,26 +2862,26 @@ class ProcessManager {
       } else {
         this.phase = 'selection';
         this.buildSelectionUI();
-        this.countdown = COUNTDOWN_SECONDS;
+        this.countdown = this.countdownSeconds;
         this.startCountdown();
       }
     } else if (keyName === 'tab' || keyName === 'right') {
       // Switch section
-      const sections = ['display', 'ignore', 'include', 'shortcuts', 'scripts'];
+      const sections = SETTINGS_SECTIONS;
       const idx = sections.indexOf(this.settingsSection);
       this.settingsSection = sections[(idx + 1) % sections.length];
       this.settingsIndex = 0;
       this.buildSettingsUI();
     } else if (keyEvent.shift && keyName === 'tab') {
       // Switch section backwards
-      const sections = ['display', 'ignore', 'include', 'shortcuts', 'scripts'];
+      const sections = SETTINGS_SECTIONS;
       const idx = sections.indexOf(this.settingsSection);
       this.settingsSection = sections[(idx - 1 + sections.length) % sections.length];
       this.settingsIndex = 0;
       this.buildSettingsUI();
     } else if (keyName === 'left') {
       // Switch section backwards
-      const sections = ['display', 'ignore', 'include', 'shortcuts', 'scripts'];
+      const sections = SETTINGS_SECTIONS;
       const idx = sections.indexOf(this.settingsSection);
       this.settingsSection = sections[(idx - 1 + sections.length) % sections.length];
       this.settingsIndex = 0;
@@ -1126,7 +2892,7 @@ class ProcessManager {
         this.buildSettingsUI();
       } else {
         // Move to previous section
-        const sections = ['display', 'ignore', 'include', 'shortcuts', 'scripts'];
+        const sections = SETTINGS_SECTIONS;
         const idx = sections.indexOf(this.settingsSection);
         if (idx > 0) {
           this.settingsSection = sections[idx - 1];
@@ -1141,7 +2907,7 @@ class ProcessManager {
         this.buildSettingsUI();
       } else {
         // Move to next section
-        const sections = ['display', 'ignore', 'include', 'shortcuts', 'scripts'];
+        const sections = SETTINGS_SECTIONS;
         const idx = sections.indexOf(this.settingsSection);
         if (idx < sections.length - 1) {
           this.settingsSection = sections[idx + 1];
@@ -1161,8 +2927,14 @@ class ProcessManager {
       this.isAddingPattern = true;
       this.newPatternText = '';
       this.buildSettingsUI();
+    } else if (keyName === 'p') {
+      // Save the current selection, layout and display options as a profile
+      this.settingsSection = 'profiles';
+      this.isNamingProfile = true;
+      this.profileNameText = this.activeProfile || '';
+      this.buildSettingsUI();
     } else if (keyName === 'd' || keyName === 'backspace') {
-      // Delete selected pattern or shortcut
+      // Delete selected pattern, profile or shortcut
       this.deleteSelectedItem();
       this.buildSettingsUI();
     } else if (keyName === 'space' || keyName === 'enter' || keyName === 'return') {
@@ -1181,7 +2953,10 @@ class ProcessManager {
   
   getSettingsMaxIndex() {
     if (this.settingsSection === 'display') {
-      return 2; // 3 display options (line numbers, timestamps, performance metrics)
+      return 3; // 4 display options (line numbers, timestamps, performance metrics, scrollback)
+    } else if (this.settingsSection === 'profiles') {
+      const count = Object.keys(this.config.profiles || {}).length;
+      return count > 0 ? count - 1 : 0;
     } else if (this.settingsSection === 'ignore') {
       const count = this.config.ignore?.length || 0;
       return count > 0 ? count - 1 : 0;
@@ -1192,6 +2967,8 @@ class ProcessManager {
       return Math.max(0, this.allScripts.length - 1);
     } else if (this.settingsSection === 'scripts') {
       return Math.max(0, this.allScripts.length - 1);
+    } else if (this.settingsSection === 'env') {
+      return Math.max(0, this.allScripts.length - 1);
     }
     return 0;
   }
@@ -1206,12 +2983,28 @@ class ProcessManager {
     } else if (this.settingsIndex === 2) {
       this.showPerformanceMetrics = !this.showPerformanceMetrics;
       this.config.showPerformanceMetrics = this.showPerformanceMetrics;
+    } else if (this.settingsIndex === 3) {
+      // Cycle the per-process scrollback through the presets
+      const next = SCROLLBACK_PRESETS.find(preset => preset > this.scrollback) || SCROLLBACK_PRESETS[0];
+      this.scrollback = next;
+      this.config.scrollback = next;
+      for (const [name, buffer] of this.outputBuffers.entries()) {
+        buffer.resize(this.getScrollbackLimit(name));
+      }
     }
     saveConfig(this.config);
   }
   
   deleteSelectedItem() {
-    if (this.settingsSection === 'ignore' && this.config.ignore?.length > 0) {
+    const profileNames = Object.keys(this.config.profiles || {});
+    if (this.settingsSection === 'profiles' && profileNames.length > 0) {
+      const name = profileNames[this.settingsIndex];
+      delete this.config.profiles[name];
+      if (profileNames.length === 1) delete this.config.profiles;
+      if (this.activeProfile === name) this.activeProfile = null;
+      saveConfig(this.config);
+      this.settingsIndex = Math.max(0, Math.min(this.settingsIndex, profileNames.length - 2));
+    } else if (this.settingsSection === 'ignore' && this.config.ignore?.length > 0) {
       this.config.ignore.splice(this.settingsIndex, 1);
       if (this.config.ignore.length === 0) delete this.config.ignore;
       saveConfig(this.config);
@@ -1578,6 +3371,82 @@ class ProcessManager {
     }
   }
   
+  // The compiled search pattern as { regex } or { error } (null when not searching)
+  getSearchPattern() {
+    if (!this.searchQuery) return null;
+    if (this.searchPatternCache?.query !== this.searchQuery) {
+      this.searchPatternCache = { query: this.searchQuery, pattern: compileSearchPattern(this.searchQuery) };
+    }
+    return this.searchPatternCache.pattern;
+  }
+  
+  // Lines in a pane matching the search, oldest first
+  getSearchMatches(pane) {
+    const regex = this.getSearchPattern()?.regex;
+    if (!regex || !pane) return [];
+    return this.getOutputLinesForPane(pane, {
+      accept: line => {
+        regex.lastIndex = 0;
+        return regex.test(getLineDisplayText(line));
+      },
+    });
+  }
+  
+  clearSearch() {
+    this.isSearchMode = false;
+    this.searchQuery = '';
+    this.searchMatchLine = null;
+    this.buildRunningUI();
+  }
+  
+  // Move to the next (1) or previous (-1) search match in the focused pane, wrapping
+  // around. Output is paused so every line stays in the pane while jumping.
+  jumpToSearchMatch(step) {
+    const matches = this.getSearchMatches(findPaneById(this.paneRoot, this.focusedPaneId));
+    if (matches.length === 0) {
+      this.searchMatchLine = null;
+      this.buildRunningUI();
+      return;
+    }
+    
+    const currentIndex = matches.indexOf(this.searchMatchLine);
+    const nextIndex = currentIndex === -1
+      ? matches.length - 1
+      : (currentIndex + step + matches.length) % matches.length;
+    this.searchMatchLine = matches[nextIndex];
+    
+    if (!this.isPaused) {
+      this.isPaused = true;
+      this.updateStreamPauseState();
+    }
+    this.buildRunningUI();
+    
+    // The rebuilt lines are laid out by the next frame's render, so measure the one after
+    let framesLeft = 2;
+    const scrollWhenLaidOut = async () => {
+      if (--framesLeft > 0) return;
+      this.renderer.removeFrameCallback(scrollWhenLaidOut);
+      this.scrollToSearchMatch();
+    };
+    this.renderer.setFrameCallback(scrollWhenLaidOut);
+  }
+  
+  // Scroll the focused pane so the current search match sits near the top third
+  scrollToSearchMatch() {
+    const scrollBox = this.paneScrollBoxes.get(this.focusedPaneId);
+    const line = this.searchMatchLine;
+    if (!scrollBox?.scrollTo || !line) return;
+    
+    const id = `output-${this.focusedPaneId}-${line.lineNumber}`;
+    const renderable = this.lineRenderables.get(this.focusedPaneId)?.find(r => r.id === id);
+    if (!renderable) return;
+    
+    const offset = renderable.y - scrollBox.content.y;
+    const y = Math.max(0, offset - Math.floor((scrollBox.height || 20) / 3));
+    scrollBox.scrollTo({ x: 0, y });
+    this.paneScrollPositions.set(this.focusedPaneId, { x: 0, y });
+  }
+
   // Check if a process is visible in the focused pane
   isProcessVisibleInPane(scriptName, pane) {
     if (!pane) return true;
@@ -1596,46 +3465,41 @@ class ProcessManager {
   }
   
   // Count horizontal splits (which reduce available height per pane)
-  // Get output lines for a specific pane - optimized single-pass filtering
-  getOutputLinesForPane(pane) {
-    // Early return if no filters active
-    const hasProcessFilter = pane.processes.length > 0;
-    const hasHiddenFilter = pane.hidden && pane.hidden.length > 0;
-    const hasTextFilter = !!pane.filter;
-    const hasColorFilter = !!pane.colorFilter;
-    
-    if (!hasProcessFilter && !hasHiddenFilter && !hasTextFilter && !hasColorFilter) {
-      return this.outputLines;
-    }
-    
-    // Build Sets for O(1) lookups
-    const processSet = hasProcessFilter ? new Set(pane.processes) : null;
-    const hiddenSet = hasHiddenFilter ? new Set(pane.hidden) : null;
-    const filterLower = hasTextFilter ? pane.filter.toLowerCase() : null;
-    
-    // Single pass through lines
-    return this.outputLines.filter(line => {
-      // Check process filter
-      if (processSet && !processSet.has(line.process)) return false;
-      
-      // Check hidden filter
-      if (hiddenSet && hiddenSet.has(line.process)) return false;
-      
-      // Check text filter (use cached lowercase from line if available)
-      if (filterLower) {
-        const processLower = line.processLower || line.process.toLowerCase();
-        const textLower = line.textLower || line.text.toLowerCase();
-        if (!processLower.includes(filterLower) && !textLower.includes(filterLower)) {
-          return false;
-        }
-      }
-      
-      // Check color filter
-      if (hasColorFilter && !lineHasColor(line.text, pane.colorFilter)) {
-        return false;
-      }
-      
+  // The pane's compiled filter query, or null when there's no query or it's invalid
+  // (invalid queries are reported in the footer instead of matching nothing)
+  getPaneFilterMatcher(pane) {
+    if (!pane?.filter || !pane.filter.trim()) return null;
+    return compileFilterQuery(pane.filter).match || null;
+  }
+  
+  // The pane's filters (stream, level, query, color) as one predicate, or null if none are set
+  getPaneLineFilter(pane) {
+    const filterMatch = this.getPaneFilterMatcher(pane);
+    const colorFilter = pane.colorFilter;
+    const stderrOnly = !!pane.stderrOnly;
+    const minLevel = pane.minLevel;
+    
+    if (!filterMatch && !colorFilter && !stderrOnly && !minLevel) return null;
+    
+    return line => {
+      if (stderrOnly && line.stream !== 'stderr') return false;
+      if (minLevel && !lineMeetsLevel(line, minLevel)) return false;
+      if (filterMatch && !filterMatch(line)) return false;
+      if (colorFilter && !lineHasColor(line.text, colorFilter)) return false;
       return true;
+    };
+  }
+  
+  // Get output lines for a specific pane, oldest first: the newest `limit` lines of the
+  // processes it shows that pass its filters and `accept`, newer than line number `after`
+  getOutputLinesForPane(pane, { limit = Infinity, accept = null, after = 0, before = Infinity } = {}) {
+    const filter = this.getPaneLineFilter(pane);
+    const buffers = this.getPaneBufferNames(pane).map(name => this.outputBuffers.get(name));
+    return mergeByLineNumber(buffers, {
+      limit,
+      after,
+      before,
+      accept: filter && accept ? line => filter(line) && accept(line) : filter || accept,
     });
   }
   
@@ -1689,6 +3553,13 @@ class ProcessManager {
     });
     headerBar.add(titleText);
     
+    // Config files, lowest priority first
+    const layersText = new TextRenderable(this.renderer, {
+      id: 'config-layers',
+      content: t`${fg(COLORS.textDim)(describeConfigLayers())}`,
+    });
+    headerBar.add(layersText);
+    
     const versionText = new TextRenderable(this.renderer, {
       id: 'version',
       content: t`${fg(COLORS.textDim)(APP_VERSION)}`,
@@ -1715,6 +3586,24 @@ class ProcessManager {
       this.settingsContainer.add(inputBar);
     }
     
+    // Input prompt if naming a profile
+    if (this.isNamingProfile) {
+      const inputBar = new BoxRenderable(this.renderer, {
+        id: 'input-bar',
+        border: ['left'],
+        borderStyle: 'single',
+        borderColor: COLORS.accent,
+        paddingLeft: 1,
+        marginBottom: 1,
+      });
+      const inputText = new TextRenderable(this.renderer, {
+        id: 'input-text',
+        content: t`${fg(COLORS.textDim)('Save current setup as profile:')} ${fg(COLORS.text)(this.profileNameText)}${fg(COLORS.accent)('_')}`,
+      });
+      inputBar.add(inputText);
+      this.settingsContainer.add(inputBar);
+    }
+    
     // Input prompt if assigning shortcut
     if (this.isAssigningShortcut) {
       const inputBar = new BoxRenderable(this.renderer, {
@@ -1727,7 +3616,9 @@ class ProcessManager {
       });
       const inputText = new TextRenderable(this.renderer, {
         id: 'input-text',
-        content: t`${fg(COLORS.textDim)('Press a key to assign as shortcut for')} ${fg(COLORS.accent)(this.shortcutScriptName)} ${fg(COLORS.textDim)('(esc to cancel)')}`,
+        content: this.shortcutKeyError
+          ? t`${fg(COLORS.error)(`${this.shortcutKeyError} - press another key for`)} ${fg(COLORS.accent)(this.shortcutScriptName)} ${fg(COLORS.textDim)('(esc to cancel)')}`
+          : t`${fg(COLORS.textDim)('Press a key to assign as shortcut for')} ${fg(COLORS.accent)(this.shortcutScriptName)} ${fg(COLORS.textDim)('(esc to cancel)')}`,
       });
       inputBar.add(inputText);
       this.settingsContainer.add(inputBar);
@@ -1763,6 +3654,20 @@ class ProcessManager {
     this.buildDisplaySectionContent(displayBox);
     leftColumn.add(displayBox);
     
+    // Profiles section
+    const profilesBox = new BoxRenderable(this.renderer, {
+      id: 'profiles-box',
+      flexDirection: 'column',
+      border: true,
+      borderStyle: 'rounded',
+      borderColor: this.settingsSection === 'profiles' ? COLORS.borderFocused : COLORS.border,
+      title: ` Profiles (p) · ${getConfigSource('profiles') || 'default'} `,
+      titleAlignment: 'left',
+      padding: 1,
+    });
+    this.buildProfilesSectionContent(profilesBox);
+    leftColumn.add(profilesBox);
+    
     // Ignore patterns section
     const ignoreBox = new BoxRenderable(this.renderer, {
       id: 'ignore-box',
@@ -1770,7 +3675,7 @@ class ProcessManager {
       border: true,
       borderStyle: 'rounded',
       borderColor: this.settingsSection === 'ignore' ? COLORS.borderFocused : COLORS.border,
-      title: ' Ignore Patterns (i) ',
+      title: ` Ignore Patterns (i) · ${getConfigSource('ignore') || 'default'} `,
       titleAlignment: 'left',
       padding: 1,
       flexGrow: 1,
@@ -1785,7 +3690,7 @@ class ProcessManager {
       border: true,
       borderStyle: 'rounded',
       borderColor: this.settingsSection === 'include' ? COLORS.borderFocused : COLORS.border,
-      title: ' Include Patterns (n) ',
+      title: ` Include Patterns (n) · ${getConfigSource('include') || 'default'} `,
       titleAlignment: 'left',
       padding: 1,
       flexGrow: 1,
@@ -1802,7 +3707,7 @@ class ProcessManager {
       border: true,
       borderStyle: 'rounded',
       borderColor: this.settingsSection === 'shortcuts' ? COLORS.borderFocused : COLORS.border,
-      title: ' Quick Commands ',
+      title: ` Quick Commands · ${getConfigSource('shortcuts') || 'default'} `,
       titleAlignment: 'left',
       flexGrow: 1,
       padding: 1,
@@ -1825,6 +3730,21 @@ class ProcessManager {
     this.buildScriptsSectionContent(scriptsBox);
     contentPanel.add(scriptsBox);
     
+    // Far right column - Effective environment of the selected script
+    const envBox = new BoxRenderable(this.renderer, {
+      id: 'env-box',
+      flexDirection: 'column',
+      border: true,
+      borderStyle: 'rounded',
+      borderColor: this.settingsSection === 'env' ? COLORS.borderFocused : COLORS.border,
+      title: ' Environment ',
+      titleAlignment: 'left',
+      flexGrow: 1,
+      padding: 1,
+    });
+    this.buildEnvSectionContent(envBox);
+    contentPanel.add(envBox);
+    
     this.settingsContainer.add(contentPanel);
     
     // Footer bar with keyboard shortcuts
@@ -1841,7 +3761,7 @@ class ProcessManager {
     });
     
     let shortcuts;
-    if (this.isAddingPattern) {
+    if (this.isAddingPattern || this.isNamingProfile) {
       shortcuts = [
         { key: 'enter', desc: 'save' },
         { key: 'esc', desc: 'cancel' },
@@ -1857,6 +3777,7 @@ class ProcessManager {
         { key: 'space', desc: this.settingsSection === 'shortcuts' ? 'assign' : 'toggle' },
         { key: 'i', desc: 'add ignore' },
         { key: 'n', desc: 'add include' },
+        { key: 'p', desc: 'save profile' },
         { key: 'd', desc: 'delete' },
         { key: 'esc', desc: 'back' },
       ];
@@ -1877,9 +3798,9 @@ class ProcessManager {
   
   buildDisplaySectionContent(container) {
     const options = [
-      { id: 'lineNumbers', label: 'Show Line Numbers', value: this.showLineNumbers },
-      { id: 'timestamps', label: 'Show Timestamps', value: this.showTimestamps },
-      { id: 'perfMetrics', label: 'Show Performance Metrics', value: this.showPerformanceMetrics },
+      { id: 'lineNumbers', label: 'Show Line Numbers', value: this.showLineNumbers, key: 'showLineNumbers' },
+      { id: 'timestamps', label: 'Show Timestamps', value: this.showTimestamps, key: 'showTimestamps' },
+      { id: 'perfMetrics', label: 'Show Performance Metrics', value: this.showPerformanceMetrics, key: 'showPerformanceMetrics' },
     ];
     
     options.forEach((option, idx) => {
@@ -1890,7 +3811,50 @@ class ProcessManager {
       
       const line = new TextRenderable(this.renderer, {
         id: `display-option-${idx}`,
-        content: t`${fg(isFocused ? COLORS.accent : COLORS.textDim)(indicator)} ${fg(checkColor)(checkbox)} ${fg(COLORS.text)(option.label)}`,
+        content: t`${fg(isFocused ? COLORS.accent : COLORS.textDim)(indicator)} ${fg(checkColor)(checkbox)} ${fg(COLORS.text)(option.label)} ${fg(COLORS.textDim)(`(${getConfigSource(option.key) || 'default'})`)}`,
+      });
+      container.add(line);
+    });
+    
+    // Per-process scrollback limit (cycles through presets) and current memory use
+    const scrollbackIdx = options.length;
+    const isFocused = this.settingsSection === 'display' && scrollbackIdx === this.settingsIndex;
+    const scrollbackLine = new TextRenderable(this.renderer, {
+      id: `display-option-${scrollbackIdx}`,
+      content: t`${fg(isFocused ? COLORS.accent : COLORS.textDim)(isFocused ? '>' : ' ')} ${fg(COLORS.warning)(`[${this.scrollback}]`)} ${fg(COLORS.text)('Scrollback Lines per Process')} ${fg(COLORS.textDim)(`(${getConfigSource('scrollback') || 'default'})`)}`,
+    });
+    container.add(scrollbackLine);
+    
+    const memoryMb = (this.estimateBufferMemory() / (1024 * 1024)).toFixed(1);
+    const heapMb = Math.round(process.memoryUsage().heapUsed / (1024 * 1024));
+    const memoryLine = new TextRenderable(this.renderer, {
+      id: 'display-memory',
+      content: t`${fg(COLORS.textDim)(`  Buffered: ${this.getBufferedLineCount()} lines in ${this.outputBuffers.size} buffers, ~${memoryMb} MB (heap ${heapMb} MB)`)}`,
+    });
+    container.add(memoryLine);
+  }
+  
+  buildProfilesSectionContent(container) {
+    const names = Object.keys(this.config.profiles || {});
+    
+    if (names.length === 0) {
+      const empty = new TextRenderable(this.renderer, {
+        id: 'profiles-empty',
+        content: t`${fg(COLORS.textDim)('Press p to save the current setup')}`,
+      });
+      container.add(empty);
+      return;
+    }
+    
+    names.forEach((name, idx) => {
+      const isFocused = this.settingsSection === 'profiles' && idx === this.settingsIndex;
+      const indicator = isFocused ? '>' : ' ';
+      const profile = this.config.profiles[name];
+      const active = name === this.activeProfile ? ' (active)' : '';
+      
+      const line = new TextRenderable(this.renderer, {
+        id: `profile-${idx}`,
+        content: t`${fg(isFocused ? COLORS.accent : COLORS.textDim)(indicator)} ${fg(COLORS.magenta)(name)}${fg(COLORS.success)(active)} ${fg(COLORS.textDim)(`${profile.selection?.length || 0} processes${profile.layout ? ', layout' : ''}`)}`,
       });
       container.add(line);
     });
@@ -1951,7 +3915,10 @@ class ProcessManager {
       const processColor = this.processColors.get(script.name) || COLORS.text;
       
       let content;
-      if (shortcutKey) {
+      if (shortcutKey && RESERVED_SHORTCUT_KEYS.has(shortcutKey)) {
+        // Set by hand in a config file; the built-in key wins
+        content = t`${fg(isFocused ? COLORS.accent : COLORS.textDim)(indicator)} ${fg(COLORS.error)(`[${shortcutKey}]`)} ${fg(processColor)(script.displayName)} ${fg(COLORS.error)('(built-in key, reassign)')}`;
+      } else if (shortcutKey) {
         content = t`${fg(isFocused ? COLORS.accent : COLORS.textDim)(indicator)} ${fg(COLORS.warning)(`[${shortcutKey}]`)} ${fg(processColor)(script.displayName)}`;
       } else {
         content = t`${fg(isFocused ? COLORS.accent : COLORS.textDim)(indicator)} ${fg(COLORS.textDim)('[ ]')} ${fg(processColor)(script.displayName)}`;
@@ -1992,6 +3959,44 @@ class ProcessManager {
     });
   }
   
+  buildEnvSectionContent(container) {
+    const script = this.allScripts[this.settingsSection === 'env' ? this.settingsIndex : 0];
+    if (!script) {
+      container.add(new TextRenderable(this.renderer, {
+        id: 'env-empty',
+        content: t`${fg(COLORS.textDim)('No scripts')}`,
+      }));
+      return;
+    }
+    
+    const isFocused = this.settingsSection === 'env';
+    const processColor = this.processColors.get(script.name) || COLORS.text;
+    container.add(new TextRenderable(this.renderer, {
+      id: 'env-script',
+      content: t`${fg(isFocused ? COLORS.accent : COLORS.textDim)('<')} ${fg(processColor)(script.displayName)} ${fg(isFocused ? COLORS.accent : COLORS.textDim)('>')}`,
+    }));
+    
+    // Only list what startall adds on top of the inherited process.env
+    const { env, sources, missingFiles } = this.getScriptEnvironment(script);
+    const keys = ['FORCE_COLOR', 'COLORTERM', ...sources.keys()].filter((key, idx, all) => all.indexOf(key) === idx);
+    
+    keys.forEach((key, idx) => {
+      const value = maskEnvValue(key, env[key] ?? '');
+      const source = sources.get(key) || 'startall';
+      container.add(new TextRenderable(this.renderer, {
+        id: `env-var-${idx}`,
+        content: t`${fg(COLORS.warning)(key)}${fg(COLORS.textDim)('=')}${fg(COLORS.text)(value)} ${fg(COLORS.textDim)(`(${source})`)}`,
+      }));
+    });
+    
+    missingFiles.forEach((file, idx) => {
+      container.add(new TextRenderable(this.renderer, {
+        id: `env-missing-${idx}`,
+        content: t`${fg(COLORS.error)(`missing ${relative(process.cwd(), file) || file}`)}`,
+      }));
+    });
+  }
+  
   updateStreamPauseState() {
     // Pause or resume all process stdout/stderr streams
     for (const proc of this.processRefs.values()) {
@@ -2007,15 +4012,33 @@ class ProcessManager {
     }
   }
 
-  cleanup() {
-    this.destroyed = true;
-    
+  // Stop timers, watchers and the quick command - everything except the processes themselves
+  stopBackgroundTasks() {
     // Stop the countdown interval
     if (this.countdownInterval) {
       clearInterval(this.countdownInterval);
       this.countdownInterval = null;
     }
     
+    // Stop pending auto-restarts and readiness polling so nothing keeps the event loop alive
+    for (const scriptName of [...this.restartTimers.keys()]) {
+      this.cancelAutoRestart(scriptName);
+    }
+    for (const scriptName of [...this.readinessChecks.keys()]) {
+      this.stopReadinessChecks(scriptName);
+    }
+    for (const scriptName of [...this.fileWatchers.keys()]) {
+      this.stopWatching(scriptName);
+    }
+    if (this.logFlushInterval) {
+      clearInterval(this.logFlushInterval);
+      this.logFlushInterval = null;
+    }
+    if (this.flashInterval) {
+      clearInterval(this.flashInterval);
+      this.flashInterval = null;
+    }
+    
     // Clean up command overlay process if running
     if (this.commandOverlayProcess && this.commandOverlayProcess.pid) {
       try {
@@ -2024,8 +4047,151 @@ class ProcessManager {
         // Ignore
       }
     }
+  }
+  
+  // Group running processes into shutdown waves: processes that others depend on stop
+  // after their dependents, i.e. the reverse of the startup order
+  getShutdownWaves(names) {
+    const nameSet = new Set(names);
+    const depths = new Map();
+    const getDepth = (name, visiting = new Set()) => {
+      if (depths.has(name)) return depths.get(name);
+      if (visiting.has(name)) return 0; // Cycle - already reported at startup
+      visiting.add(name);
+      const deps = getDependencies(this.config.dependsOn, name).filter(dep => nameSet.has(dep.name));
+      const depth = deps.length > 0 ? Math.max(...deps.map(dep => getDepth(dep.name, visiting))) + 1 : 0;
+      depths.set(name, depth);
+      return depth;
+    };
+    names.forEach(name => getDepth(name));
+    
+    const waves = [];
+    for (const [name, depth] of depths) {
+      (waves[depth] ||= []).push(name);
+    }
+    return waves.filter(Boolean).reverse();
+  }
+  
+  // Stop all processes gracefully, in reverse dependency order
+  async shutdown() {
+    if (this.shuttingDown) return;
+    this.shuttingDown = true;
+    this.stopBackgroundTasks();
+    
+    const running = [...this.processRefs.entries()]
+      .filter(([, proc]) => proc.pid && proc.exitCode === null && proc.signalCode === null)
+      .map(([scriptName]) => scriptName);
+    
+    // Show every process that's about to stop as "stopping"
+    running.forEach(scriptName => {
+      this.processes.set(scriptName, { status: 'stopping' });
+    });
+    this.updateProcessBar();
+    
+    for (const wave of this.getShutdownWaves(running)) {
+      await Promise.all(wave.map(scriptName => this.stopProcess(scriptName)));
+    }
+    
+    this.flushLogs();
+    this.destroyed = true;
+  }
+  
+  // Quit the app: stop processes gracefully, or force it if already shutting down
+  quit() {
+    if (this.shuttingDown) {
+      this.cleanup();
+      this.renderer.destroy();
+      return;
+    }
+    this.shutdown().then(() => this.renderer.destroy());
+  }
+
+  // Headless mode: start the selected processes without a UI, printing their output as
+  // `[name] line`. Returns false if the selection or success condition is invalid.
+  runHeadless(selection) {
+    const unknown = selection.filter(name => !this.scripts.some(s => s.name === name));
+    if (selection.length === 0 || unknown.length > 0) {
+      console.error(selection.length === 0
+        ? 'No processes selected - set defaultSelection in startall.json or pass --select'
+        : `Unknown process: ${unknown.join(', ')}`);
+      console.error(`Available: ${this.scripts.map(s => s.name).join(', ')}`);
+      return false;
+    }
+    const { success } = this.headless;
+    if (!HEADLESS_CONDITIONS.includes(success) && !selection.includes(success)) {
+      console.error(`Invalid success condition "${success}" - use ${HEADLESS_CONDITIONS.join(', ')} or a selected process name`);
+      return false;
+    }
+    
+    // Colored prefixes, padded so output lines up
+    const width = Math.max(...selection.map(name => (this.scripts.find(s => s.name === name).displayName).length));
+    this.headlessPrefixes = new Map(selection.map(name => {
+      const displayName = this.scripts.find(s => s.name === name).displayName;
+      return [name, chalk.hex(this.processColors.get(name))(`[${displayName}]`.padEnd(width + 2))];
+    }));
+    
+    this.phase = 'headless';
+    this.selectedScripts = new Set(selection);
+    this.startSelectedProcesses(selection);
+    this.checkHeadlessCompletion();
+    return true;
+  }
+  
+  // Print a complete output line in headless mode (startall's own messages are dimmed)
+  printHeadlessLine(line) {
+    const prefix = this.headlessPrefixes?.get(line.process);
+    if (!prefix) return;
+    const text = chalk.level > 0 ? line.text : stripAnsi(line.text);
+    process.stdout.write(`${prefix} ${line.stream === 'system' ? chalk.dim(text) : text}\n`);
+  }
+  
+  // In headless mode, end the run once the success condition is decided:
+  // - 'all': every process has finished; fails with the first failure's exit code
+  // - 'first-failure': as soon as any process fails (or all have succeeded)
+  // - a process name: when that process finishes, with its exit code
+  checkHeadlessCompletion() {
+    if (!this.headless || this.shuttingDown || this.phase !== 'headless') return;
+    
+    const selection = [...this.selectedScripts];
+    const isSettled = name => SETTLED_STATUSES.includes(this.processes.get(name)?.status);
+    const hasFailed = name => isSettled(name) && this.processes.get(name).status !== 'exited';
+    const exitCodeOf = name => hasFailed(name) ? (this.processes.get(name).exitCode || 1) : 0;
+    
+    const { success } = this.headless;
+    const failed = selection.find(hasFailed);
+    let exitCode = null;
+    if (success === 'all') {
+      if (selection.every(isSettled)) exitCode = failed ? exitCodeOf(failed) : 0;
+    } else if (success === 'first-failure') {
+      if (failed) exitCode = exitCodeOf(failed);
+      else if (selection.every(isSettled)) exitCode = 0;
+    } else if (isSettled(success)) {
+      exitCode = exitCodeOf(success);
+    }
+    
+    if (exitCode !== null) {
+      this.finishHeadless(exitCode);
+    }
+  }
+  
+  // Stop whatever is still running and exit; a second call (e.g. Ctrl+C while stopping)
+  // kills everything immediately
+  finishHeadless(exitCode) {
+    if (this.shuttingDown) {
+      this.cleanup();
+      process.exit(exitCode);
+    }
+    this.shutdown().then(() => process.exit(exitCode));
+  }
+  
+  // Kill everything immediately (used when a graceful shutdown is interrupted)
+  cleanup() {
+    this.destroyed = true;
+    this.stopBackgroundTasks();
+    this.flushLogs();
     
-    for (const [scriptName, proc] of this.processRefs.entries()) {
+    const procs = [...this.processRefs.values(), ...this.stoppingProcesses.values()];
+    for (const proc of procs) {
       try {
         if (proc.pid) {
           kill(proc.pid, 'SIGKILL');
@@ -2043,41 +4209,35 @@ class ProcessManager {
     this.commandOverlayScript = scriptName;
     this.commandOverlayStatus = 'running';
     
-    // Spawn the process
-    const proc = spawn('npm', ['run', scriptName], {
-      env: {
-        ...process.env,
-        FORCE_COLOR: '1',
-        COLORTERM: 'truecolor',
-      },
-      shell: true,
-    });
+    // Spawn the process (quick commands may be ignored/filtered, so look in allScripts)
+    const script = this.allScripts.find(s => s.name === scriptName)
+      || { name: scriptName, command: `${this.packageManager} run ${scriptName}` };
+    const proc = this.spawnScript(script);
     
     this.commandOverlayProcess = proc;
     
-    proc.stdout.on('data', (data) => {
-      const text = data.toString();
-      const lines = text.split('\n');
-      lines.forEach(line => {
-        if (line.trim()) {
-          this.commandOverlayOutput.push(line);
-          this.buildRunningUI();
-        }
-      });
-    });
-    
-    proc.stderr.on('data', (data) => {
-      const text = data.toString();
-      const lines = text.split('\n');
-      lines.forEach(line => {
-        if (line.trim()) {
-          this.commandOverlayOutput.push(line);
-          this.buildRunningUI();
-        }
+    // Lines are indexes into the overlay output so partial lines can be rewritten
+    const output = this.commandOverlayOutput;
+    const assemblers = [proc.stdout, proc.stderr].map(stream => {
+      const assembler = createLineAssembler({
+        onLine: (text) => {
+          output.push(text);
+          if (this.commandOverlayOutput === output) this.buildRunningUI();
+          return output.length - 1;
+        },
+        onUpdate: (index, text) => {
+          output[index] = text;
+          if (this.commandOverlayOutput === output) this.buildRunningUI();
+        },
       });
+      stream.on('data', (data) => assembler.push(data.toString()));
+      stream.on('end', () => assembler.flush());
+      return assembler;
     });
     
     proc.on('exit', (code) => {
+      assemblers.forEach(assembler => assembler.flush());
+      if (this.commandOverlayOutput !== output) return;  // Overlay was closed
       this.commandOverlayStatus = code === 0 ? 'exited' : 'crashed';
       this.commandOverlayOutput.push('');
       this.commandOverlayOutput.push(`Process exited with code ${code}`);
@@ -2088,6 +4248,45 @@ class ProcessManager {
     this.buildRunningUI();
   }
   
+  // JSON log lines in the focused pane, oldest first
+  getJsonLinesInFocusedPane() {
+    const pane = findPaneById(this.paneRoot, this.focusedPaneId);
+    return pane ? this.getOutputLinesForPane(pane, { accept: line => line.json }) : [];
+  }
+  
+  // Show the full object of a JSON log line: the current search match if it's one,
+  // otherwise the newest in the focused pane
+  openInspectPopup() {
+    const lines = this.getJsonLinesInFocusedPane();
+    if (lines.length === 0) {
+      const scriptName = this.scripts[this.selectedIndex]?.name;
+      if (scriptName) this.addOutputLine(scriptName, '[inspect] No JSON log lines in this pane');
+      return;
+    }
+    this.inspectLine = lines.includes(this.searchMatchLine) ? this.searchMatchLine : lines[lines.length - 1];
+    this.buildRunningUI();
+  }
+  
+  handleInspectInput(keyName) {
+    if (keyName === 'escape' || keyName === 'q' || keyName === 'v') {
+      this.inspectLine = null;
+      this.buildRunningUI();
+      return;
+    }
+    
+    // Step through the pane's JSON lines
+    const lines = this.getJsonLinesInFocusedPane();
+    const index = lines.indexOf(this.inspectLine);
+    if (index === -1) return;
+    if (keyName === 'up' || keyName === 'k') {
+      this.inspectLine = lines[Math.max(0, index - 1)];
+      this.buildRunningUI();
+    } else if (keyName === 'down' || keyName === 'j') {
+      this.inspectLine = lines[Math.min(lines.length - 1, index + 1)];
+      this.buildRunningUI();
+    }
+  }
+  
   closeCommandOverlay() {
     // Kill the process if still running
     if (this.commandOverlayProcess && this.commandOverlayProcess.pid) {
@@ -2148,7 +4347,21 @@ class ProcessManager {
     let currentY = 1; // start of scripts
     this.scriptLinePositions = [];
     
+    // Group scripts by package when a workspace contributes more than one group
+    const showGroups = new Set(this.scripts.map(s => s.group)).size > 1;
+    let lastGroup = null;
+    
     this.scriptLines = this.scripts.map((script, index) => {
+      if (showGroups && script.group !== lastGroup) {
+        lastGroup = script.group;
+        const groupHeader = new TextRenderable(this.renderer, {
+          id: `script-group-${index}`,
+          content: t`${fg(COLORS.textDim)(script.group)}`,
+        });
+        scriptsPanel.add(groupHeader);
+        currentY++;
+      }
+      
       const isSelected = this.selectedScripts.has(script.name);
       const isFocused = index === this.selectedIndex;
       const processColor = this.processColors.get(script.name) || COLORS.text;
@@ -2188,6 +4401,22 @@ class ProcessManager {
     
     this.selectionContainer.add(scriptsPanel);
     
+    // Config warnings (printed to stderr too, but the TUI hides them)
+    if (this.configWarnings.length > 0) {
+      const warningsPanel = new BoxRenderable(this.renderer, {
+        id: 'config-warnings',
+        flexDirection: 'column',
+        paddingLeft: 1,
+      });
+      this.configWarnings.forEach((warning, index) => {
+        warningsPanel.add(new TextRenderable(this.renderer, {
+          id: `config-warning-${index}`,
+          content: t`${fg(COLORS.warning)('▲')} ${fg(COLORS.textDim)(warning)}`,
+        }));
+      });
+      this.selectionContainer.add(warningsPanel);
+    }
+    
     // Footer bar with title, countdown, and shortcuts
     const footerBar = new BoxRenderable(this.renderer, {
       id: 'footer-bar',
@@ -2208,11 +4437,29 @@ class ProcessManager {
     
     const titleText = new TextRenderable(this.renderer, {
       id: 'title',
-      content: t`${fg(COLORS.accent)('startall')} ${fg(COLORS.warning)(this.countdown + 's')}`,
+      content: this.countdown === null
+        ? t`${fg(COLORS.accent)('startall')}`
+        : t`${fg(COLORS.accent)('startall')} ${fg(COLORS.warning)(this.countdown + 's')}`,
     });
     leftSide.add(titleText);
     this.headerText = titleText; // Save reference for countdown updates
     
+    // Package manager used to run scripts
+    const packageManagerHint = new TextRenderable(this.renderer, {
+      id: 'package-manager-hint',
+      content: t`${fg(COLORS.textDim)(this.packageManager)}`,
+    });
+    leftSide.add(packageManagerHint);
+    
+    // Applied profile (cycled with p)
+    if (this.activeProfile) {
+      const profileHint = new TextRenderable(this.renderer, {
+        id: 'profile-hint',
+        content: t`${fg(COLORS.textDim)('profile:')}${fg(COLORS.magenta)(this.activeProfile)}`,
+      });
+      leftSide.add(profileHint);
+    }
+    
     // VS Code hint
     if (IS_VSCODE) {
       const vscodeHint = new TextRenderable(this.renderer, {
@@ -2236,6 +4483,9 @@ class ProcessManager {
       { key: 'ret', desc: 'go', color: COLORS.accent },
       { key: 'o', desc: 'cfg', color: COLORS.magenta },
     ];
+    if (this.config.profiles && Object.keys(this.config.profiles).length > 0) {
+      shortcuts.splice(2, 0, { key: 'p', desc: 'profile', color: COLORS.warning });
+    }
     
     shortcuts.forEach(({ key, desc, color }) => {
       const shortcut = new TextRenderable(this.renderer, {
@@ -2335,7 +4585,7 @@ class ProcessManager {
   
   getPerformanceString() {
     const metrics = this.getPerformanceMetrics();
-    return `${metrics.fps}fps ${metrics.avgRenderTime}ms mem:${this.outputLines.length}`;
+    return `${metrics.fps}fps ${metrics.avgRenderTime}ms mem:${this.getBufferedLineCount()}`;
   }
 
   getProcessListContent() {
@@ -2474,14 +4724,22 @@ class ProcessManager {
       }
     }
     
+    // Refresh the process bar's error/warning counters
+    if (this.levelCountsChanged) {
+      this.levelCountsChanged = false;
+      this.updateProcessBar();
+    }
+    
     // Update existing panes incrementally, or rebuild if needed
     if (this.paneScrollBoxes.size > 0) {
+      this.refreshUpdatedOutputLines();
+      
       // Incremental update - just append new lines to existing panes
       const maxLinesPerUpdate = 200;  // Limit lines added per render
       // When live, limit DOM to screen height (no scroll needed)
       // When paused, keep all for scrollback  
       const screenHeight = this.renderer.height || 50;
-      const maxDomLinesPerPane = this.isPaused ? this.maxOutputLines : screenHeight;
+      const maxDomLinesPerPane = this.isPaused ? this.getBufferedLineCount() : screenHeight;
       
       for (const [paneId, scrollBox] of this.paneScrollBoxes.entries()) {
         const pane = findPaneById(this.paneRoot, paneId);
@@ -2491,6 +4749,12 @@ class ProcessManager {
           return;
         }
         
+        // The attached pane shows the process's screen instead of log lines
+        if (paneId === this.attachedPaneId) {
+          this.updateAttachedScreen();
+          continue;
+        }
+        
         // Only update focused pane every frame, others less frequently
         const isFocused = paneId === this.focusedPaneId;
         if (!isFocused && this.paneScrollBoxes.size > 1) {
@@ -2502,27 +4766,8 @@ class ProcessManager {
         
         const lastRenderedLineNumber = this.paneLineCount.get(paneId) || 0;
           
-          // Cache filter values outside loop
-          const hasProcessFilter = pane.processes.length > 0;
-          const processSet = hasProcessFilter ? new Set(pane.processes) : null;
-          const hasHiddenFilter = pane.hidden && pane.hidden.length > 0;
-          const hiddenSet = hasHiddenFilter ? new Set(pane.hidden) : null;
-          const filterLower = pane.filter ? pane.filter.toLowerCase() : null;
-          const colorFilter = pane.colorFilter;
-          
           // Only look at lines newer than what we've rendered - avoid filtering all lines
-          let newLines = [];
-          for (let i = this.outputLines.length - 1; i >= 0; i--) {
-            const line = this.outputLines[i];
-            if (line.lineNumber <= lastRenderedLineNumber) break;
-            // Apply pane filters inline with cached values
-            if (processSet && !processSet.has(line.process)) continue;
-            if (hiddenSet && hiddenSet.has(line.process)) continue;
-            if (filterLower && !line.processLower.includes(filterLower) && !line.textLower.includes(filterLower)) continue;
-            if (colorFilter && !lineHasColor(line.text, colorFilter)) continue;
-            newLines.unshift(line);
-            if (newLines.length >= maxLinesPerUpdate) break;
-          }
+          const newLines = this.getOutputLinesForPane(pane, { limit: maxLinesPerUpdate, after: lastRenderedLineNumber });
           
           if (newLines.length > 0) {
             // Get or create renderable pool for this pane
@@ -2533,27 +4778,10 @@ class ProcessManager {
             
             // Add new lines - reuse existing renderables or create new ones
             for (const line of newLines) {
-              const processColor = this.processColors.get(line.process) || COLORS.text;
-              
-              // Build content
-              const lineNumber = this.showLineNumbers ? String(line.lineNumber).padStart(4, ' ') : '';
-              const timestamp = this.showTimestamps ? (line.timeString || (line.timeString = new Date(line.timestamp).toLocaleTimeString('en-US', { hour12: false }))) : '';
-              
-              let content;
-              if (this.showLineNumbers && this.showTimestamps) {
-                content = t`${fg(COLORS.textDim)(lineNumber)} ${fg(COLORS.textDim)(`[${timestamp}]`)} ${fg(processColor)(`[${line.process}]`)} ${line.text}`;
-              } else if (this.showLineNumbers) {
-                content = t`${fg(COLORS.textDim)(lineNumber)} ${fg(processColor)(`[${line.process}]`)} ${line.text}`;
-              } else if (this.showTimestamps) {
-                content = t`${fg(COLORS.textDim)(`[${timestamp}]`)} ${fg(processColor)(`[${line.process}]`)} ${line.text}`;
-              } else {
-                content = t`${fg(processColor)(`[${line.process}]`)} ${line.text}`;
-              }
-              
               // Create new renderable and add to pool
               const outputLine = new TextRenderable(this.renderer, {
                 id: `output-${pane.id}-${line.lineNumber}`,
-                content: content,
+                content: this.formatOutputLine(line),
                 bg: '#000000',
               });
               
@@ -2585,6 +4813,9 @@ class ProcessManager {
   
   // Light update - only refresh the process bar without rebuilding panes
   updateProcessBar() {
+    // Status changes can arrive from timers while another screen is showing
+    if (this.destroyed || this.phase !== 'running') return;
+    
     if (!this.processBarContainer || !this.runningContainer) {
       this.buildRunningUI();
       return;
@@ -2601,10 +4832,7 @@ class ProcessManager {
     const focusedPane = findPaneById(this.paneRoot, this.focusedPaneId);
     
     this.scripts.forEach((script, index) => {
-      const proc = this.processes.get(script.name);
-      const status = proc?.status || 'stopped';
-      const statusIcon = status === 'running' ? '●' : status === 'crashed' ? '!' : '○';
-      const statusColor = status === 'running' ? COLORS.success : status === 'crashed' ? COLORS.error : COLORS.textDim;
+      const { icon: statusIcon, color: statusColor } = this.getProcessStatusIndicator(script.name);
       const processColor = this.processColors.get(script.name) || COLORS.text;
       const isSelected = this.selectedIndex === index;
       const isVisible = this.isProcessVisibleInPane(script.name, focusedPane);
@@ -2612,14 +4840,15 @@ class ProcessManager {
       const numberColor = isVisible ? processColor : COLORS.textDim;
       const indicator = isSelected ? '>' : ' ';
       const bracketColor = isVisible ? processColor : COLORS.textDim;
+      const { errorBadge, warnBadge } = this.getLevelCountBadges(script.name);
       
       const numberLabel = index < 9 ? `${index + 1}` : ' ';
       
       let content;
       if (isVisible) {
-        content = t`${fg(numberColor)(numberLabel)} ${fg(isSelected ? COLORS.accent : COLORS.textDim)(indicator)}${fg(bracketColor)('[')}${fg(COLORS.text)('✓')}${fg(bracketColor)(']')} ${fg(statusColor)(statusIcon)} ${fg(nameColor)(script.displayName)}`;
+        content = t`${fg(numberColor)(numberLabel)} ${fg(isSelected ? COLORS.accent : COLORS.textDim)(indicator)}${fg(bracketColor)('[')}${fg(COLORS.text)('✓')}${fg(bracketColor)(']')} ${fg(statusColor)(statusIcon)} ${this.formatProcessName(script, nameColor)}${errorBadge}${warnBadge}`;
       } else {
-        content = t`${fg(numberColor)(numberLabel)} ${fg(isSelected ? COLORS.accent : COLORS.textDim)(indicator)}${fg(bracketColor)('[ ]')} ${fg(statusColor)(statusIcon)} ${fg(nameColor)(script.displayName)}`;
+        content = t`${fg(numberColor)(numberLabel)} ${fg(isSelected ? COLORS.accent : COLORS.textDim)(indicator)}${fg(bracketColor)('[ ]')} ${fg(statusColor)(statusIcon)} ${this.formatProcessName(script, nameColor)}${errorBadge}${warnBadge}`;
       }
       
       const processItem = new TextRenderable(this.renderer, {
@@ -2630,15 +4859,69 @@ class ProcessManager {
     });
   }
   
+  // Build the content of one output line: optional line number and timestamp, the
+  // colored process tag (with a red bar for stderr lines), then the text (compacted for
+  // JSON log lines) with any search matches highlighted
+  formatOutputLine(line) {
+    const processColor = this.processColors.get(line.process) || COLORS.text;
+    const lineNumber = this.showLineNumbers ? String(line.lineNumber).padStart(4, ' ') : '';
+    const timestamp = this.showTimestamps ? (line.timeString || (line.timeString = new Date(line.json?.time ?? line.timestamp).toLocaleTimeString('en-US', { hour12: false }))) : '';
+    const streamMarker = fg(COLORS.error)(line.stream === 'stderr' ? '┃' : '');
+    
+    // Search matches are highlighted in the plain text (the current match stands out)
+    const searchRegex = this.getSearchPattern()?.regex;
+    const highlightColor = line === this.searchMatchLine ? COLORS.accent : COLORS.warning;
+    const highlighted = searchRegex && highlightSearchMatches(getLineDisplayText(line), searchRegex, highlightColor);
+    
+    // JSON log lines show a colored level badge and "message key=value ..." instead of the raw object
+    const json = line.json;
+    const levelBadge = json?.levelLabel ? fg(LEVEL_COLORS[json.level] || COLORS.text)(`${json.levelLabel.toUpperCase().padEnd(5)} `) : '';
+    const text = highlighted ? '' : (json ? fg(COLORS.text)(json.text) : line.text);
+    
+    let content;
+    if (this.showLineNumbers && this.showTimestamps) {
+      content = t`${fg(COLORS.textDim)(lineNumber)} ${fg(COLORS.textDim)(`[${timestamp}]`)} ${fg(processColor)(`[${line.process}]`)}${streamMarker} ${levelBadge}${text}`;
+    } else if (this.showLineNumbers) {
+      content = t`${fg(COLORS.textDim)(lineNumber)} ${fg(processColor)(`[${line.process}]`)}${streamMarker} ${levelBadge}${text}`;
+    } else if (this.showTimestamps) {
+      content = t`${fg(COLORS.textDim)(`[${timestamp}]`)} ${fg(processColor)(`[${line.process}]`)}${streamMarker} ${levelBadge}${text}`;
+    } else {
+      content = t`${fg(processColor)(`[${line.process}]`)}${streamMarker} ${levelBadge}${text}`;
+    }
+    return highlighted ? new StyledText([...content.chunks, ...highlighted]) : content;
+  }
+  
+  // Refresh lines that are already on screen but changed since (partial lines)
+  refreshUpdatedOutputLines() {
+    if (this.updatedOutputLines.size === 0) return;
+    
+    for (const [paneId, renderables] of this.lineRenderables.entries()) {
+      for (const line of this.updatedOutputLines) {
+        const id = `output-${paneId}-${line.lineNumber}`;
+        const renderable = renderables.find(r => r.id === id);
+        if (renderable) {
+          renderable.content = this.formatOutputLine(line);
+        }
+      }
+    }
+    this.updatedOutputLines.clear();
+  }
+  
   // Build a single pane's output area
   buildPaneOutput(pane, container, height) {
     const isFocused = pane.id === this.focusedPaneId;
-    const lines = this.getOutputLinesForPane(pane);
     
     // When live, only show lines that fit on screen (no scroll needed)
-    // When paused, show all lines for scrollback
-    const maxLines = this.isPaused ? lines.length : Math.min(lines.length, height || 50);
-    const linesToShow = lines.slice(-maxLines);
+    // When paused, show the newest PAUSED_RENDER_LIMIT lines for scrollback, or as many
+    // around the current search match if it's older
+    let linesToShow = this.getOutputLinesForPane(pane, { limit: this.isPaused ? PAUSED_RENDER_LIMIT : (height || 50) });
+    const match = this.searchMatchLine;
+    if (this.isPaused && isFocused && match && linesToShow.length > 0 && match.lineNumber < linesToShow[0].lineNumber) {
+      linesToShow = this.getOutputLinesForPane(pane, {
+        limit: PAUSED_RENDER_LIMIT,
+        before: match.lineNumber + 1 + PAUSED_RENDER_LIMIT / 2,
+      });
+    }
     
     // Initialize renderable pool for this pane
     const renderables = [];
@@ -2647,26 +4930,9 @@ class ProcessManager {
     // Add lines (oldest first, so newest is at bottom)
     for (let i = 0; i < linesToShow.length; i++) {
       const line = linesToShow[i];
-      const processColor = this.processColors.get(line.process) || COLORS.text;
-      
-      // Build content with proper template literal
-      const lineNumber = this.showLineNumbers ? String(line.lineNumber).padStart(4, ' ') : '';
-      const timestamp = this.showTimestamps ? new Date(line.timestamp).toLocaleTimeString('en-US', { hour12: false }) : '';
-      
-      let content;
-      if (this.showLineNumbers && this.showTimestamps) {
-        content = t`${fg(COLORS.textDim)(lineNumber)} ${fg(COLORS.textDim)(`[${timestamp}]`)} ${fg(processColor)(`[${line.process}]`)} ${line.text}`;
-      } else if (this.showLineNumbers) {
-        content = t`${fg(COLORS.textDim)(lineNumber)} ${fg(processColor)(`[${line.process}]`)} ${line.text}`;
-      } else if (this.showTimestamps) {
-        content = t`${fg(COLORS.textDim)(`[${timestamp}]`)} ${fg(processColor)(`[${line.process}]`)} ${line.text}`;
-      } else {
-        content = t`${fg(processColor)(`[${line.process}]`)} ${line.text}`;
-      }
-      
       const outputLine = new TextRenderable(this.renderer, {
         id: `output-${pane.id}-${line.lineNumber}`,
-        content: content,
+        content: this.formatOutputLine(line),
         bg: '#000000', // Black background for pane content
       });
       
@@ -2680,6 +4946,51 @@ class ProcessManager {
     }
   }
   
+  // Build the attached pane's screen: one row renderable per terminal row, refreshed in
+  // place by updateAttachedScreen()
+  buildAttachedScreen(container, height) {
+    this.attachedScreenRows = [];
+    for (let y = 0; y < height; y++) {
+      const row = new TextRenderable(this.renderer, {
+        id: `attached-row-${y}`,
+        content: '',
+        bg: '#000000',
+      });
+      container.add(row);
+      this.attachedScreenRows.push(row);
+    }
+    this.updateAttachedScreen();
+  }
+  
+  updateAttachedScreen() {
+    const rows = this.attachedScreenRows;
+    if (rows.length === 0) return;
+    
+    // Keep the PTY (and its mirrored screen) the size of the pane
+    const cols = Math.max(20, Math.floor((this.renderer.width || 120) / this.countVerticalPanes(this.paneRoot)) - 3);
+    const proc = this.processRefs.get(this.attachedProcess);
+    if (proc?.pty) proc.resize(cols, rows.length);
+    
+    const screen = this.ptyScreens.get(this.attachedProcess);
+    if (!screen) {
+      // Without @xterm/headless, fall back to the latest output lines
+      const lines = (this.outputBuffers.get(this.attachedProcess)?.toArray() || []).slice(-rows.length);
+      rows.forEach((row, y) => {
+        row.content = lines[y]?.text || '';
+      });
+      return;
+    }
+    
+    if (screen.cols !== cols || screen.rows !== rows.length) {
+      screen.resize(cols, rows.length);
+    }
+    const buffer = screen.buffer.active;
+    rows.forEach((row, y) => {
+      const cursorX = y === buffer.cursorY ? buffer.cursorX : -1;
+      row.content = xtermRowToStyledText(buffer.getLine(buffer.viewportY + y), cols, cursorX);
+    });
+  }
+  
   // Count how many vertical panes exist (for width calculation)
   countVerticalPanes(node) {
     if (!node) return 1;
@@ -2706,10 +5017,20 @@ class ProcessManager {
     const focusLabel = isFocused ? '*' : '';
     const hiddenCount = pane.hidden?.length || 0;
     const hiddenLabel = hiddenCount > 0 ? ` -${hiddenCount}` : '';
-    const filterLabel = pane.filter ? ` /${pane.filter}` : '';
+    const filterError = pane.filter?.trim() ? compileFilterQuery(pane.filter).error : null;
+    const filterLabel = pane.filter ? ` /${pane.filter}${filterError ? ' ✗' : ''}` : '';
+    const stderrLabel = pane.stderrOnly ? ' [stderr]' : '';
+    const levelLabel = pane.minLevel ? ` [≥${pane.minLevel}]` : '';
     const namingInputLabel = (isFocused && this.isNamingMode) ? `Name: ${this.namingModeText}_` : '';
     const filterInputLabel = (isFocused && this.isFilterMode) ? `/${pane.filter || ''}_` : '';
-    const title = ` ${focusLabel}${namingInputLabel || processLabel}${hiddenLabel}${filterInputLabel || filterLabel} `;
+    const attachLabel = pane.id === this.attachedPaneId ? ' [attached - Ctrl+] to detach]' : '';
+    let searchLabel = '';
+    if (isFocused && this.searchQuery && this.getSearchPattern().regex) {
+      const matches = this.getSearchMatches(pane);
+      const current = matches.indexOf(this.searchMatchLine) + 1;
+      searchLabel = ` [match ${current || '-'}/${matches.length}]`;
+    }
+    const title = ` ${focusLabel}${namingInputLabel || processLabel}${hiddenLabel}${filterInputLabel || filterLabel}${stderrLabel}${levelLabel}${searchLabel}${attachLabel} `;
     
     const paneContainer = new BoxRenderable(this.renderer, {
       id: `pane-${pane.id}`,
@@ -2759,10 +5080,14 @@ class ProcessManager {
     // Store ScrollBox reference for this pane
     this.paneScrollBoxes.set(pane.id, outputBox);
     
-    this.buildPaneOutput(pane, outputBox.content, height);
+    if (pane.id === this.attachedPaneId) {
+      this.buildAttachedScreen(outputBox.content, height);
+    } else {
+      this.buildPaneOutput(pane, outputBox.content, height);
+    }
     
     // Restore or set scroll position immediately
-    if (outputBox && outputBox.scrollTo) {
+    if (outputBox && outputBox.scrollTo && pane.id !== this.attachedPaneId) {
       if (this.isPaused && this.paneScrollPositions.has(pane.id)) {
         // Restore saved scroll position when paused
         const savedPos = this.paneScrollPositions.get(pane.id);
@@ -2948,6 +5273,163 @@ class ProcessManager {
     parent.add(overlay);
   }
   
+  // Build the JSON line inspect popup
+  buildInspectPopup(parent) {
+    const line = this.inspectLine;
+    const lines = this.getJsonLinesInFocusedPane();
+    const position = lines.indexOf(line) + 1;
+    const script = this.scripts.find(s => s.name === line.process);
+    const levelColor = LEVEL_COLORS[line.json.level] || COLORS.accent;
+    const title = ` ${script?.displayName || line.process} · line ${line.lineNumber}${position ? ` (${position}/${lines.length})` : ''} `;
+    
+    const overlay = new BoxRenderable(this.renderer, {
+      id: 'inspect-popup',
+      position: 'absolute',
+      top: '10%',
+      left: '15%',
+      width: '70%',
+      height: '80%',
+      backgroundColor: COLORS.bg,
+      border: true,
+      borderStyle: 'rounded',
+      borderColor: levelColor,
+      title: title,
+      padding: 0,
+      flexDirection: 'column',
+    });
+    
+    // Summary: level, log time and message
+    const time = line.json.time !== null ? new Date(line.json.time).toISOString() : '';
+    const summary = new TextRenderable(this.renderer, {
+      id: 'inspect-summary',
+      content: t`${fg(levelColor)((line.json.levelLabel || '').toUpperCase())} ${fg(COLORS.textDim)(time)} ${fg(COLORS.text)(line.json.message)}`,
+    });
+    const summaryBar = new BoxRenderable(this.renderer, {
+      id: 'inspect-summary-bar',
+      border: ['bottom'],
+      borderStyle: 'single',
+      borderColor: COLORS.border,
+      paddingLeft: 1,
+    });
+    summaryBar.add(summary);
+    overlay.add(summaryBar);
+    
+    // Pretty-printed object
+    const objectBox = new ScrollBoxRenderable(this.renderer, {
+      id: 'inspect-object',
+      height: Math.floor(this.renderer.height * 0.8) - 6,
+      scrollX: false,
+      scrollY: true,
+      focusable: true,
+      style: {
+        rootOptions: {
+          flexGrow: 1,
+          paddingLeft: 1,
+          paddingRight: 1,
+          backgroundColor: COLORS.bg,
+        },
+        contentOptions: {
+          backgroundColor: COLORS.bg,
+          width: '100%',
+        },
+      },
+    });
+    
+    JSON.stringify(line.json.object, null, 2).split('\n').forEach((jsonLine, idx) => {
+      const objectLine = new TextRenderable(this.renderer, {
+        id: `inspect-line-${idx}`,
+        content: colorJsonLine(jsonLine),
+      });
+      objectBox.content.add(objectLine);
+    });
+    overlay.add(objectBox);
+    
+    // Footer hint
+    const hintBar = new BoxRenderable(this.renderer, {
+      id: 'inspect-hint-bar',
+      border: ['top'],
+      borderStyle: 'single',
+      borderColor: COLORS.border,
+      paddingLeft: 1,
+    });
+    const hint = new TextRenderable(this.renderer, {
+      id: 'inspect-hint',
+      content: t`${fg(COLORS.accent)('↑↓')} ${fg(COLORS.textDim)('previous/next JSON line')}  ${fg(COLORS.accent)('Esc')} ${fg(COLORS.textDim)('to close')}`,
+    });
+    hintBar.add(hint);
+    overlay.add(hintBar);
+    
+    parent.add(overlay);
+  }
+  
+  // Build the recent trigger hits popup (newest first)
+  buildTriggerHitsPopup(parent) {
+    const overlay = new BoxRenderable(this.renderer, {
+      id: 'trigger-hits-popup',
+      position: 'absolute',
+      top: '15%',
+      left: '10%',
+      width: '80%',
+      height: '70%',
+      backgroundColor: COLORS.bgLight,
+      border: true,
+      borderStyle: 'rounded',
+      borderColor: COLORS.error,
+      title: ` Trigger Hits (${this.triggerHits.length}) `,
+      padding: 1,
+      flexDirection: 'column',
+    });
+    
+    const listBox = new ScrollBoxRenderable(this.renderer, {
+      id: 'trigger-hits-list',
+      height: Math.floor(this.renderer.height * 0.7) - 5,
+      scrollX: false,
+      scrollY: true,
+      focusable: true,
+      style: {
+        rootOptions: {
+          flexGrow: 1,
+          backgroundColor: COLORS.bgLight,
+        },
+        contentOptions: {
+          backgroundColor: COLORS.bgLight,
+          width: '100%',
+        },
+      },
+    });
+    
+    if (this.triggers.length === 0) {
+      listBox.content.add(new TextRenderable(this.renderer, {
+        id: 'trigger-hits-empty',
+        content: t`${fg(COLORS.textDim)('No triggers configured - add "triggers" to startall.json')}`,
+      }));
+    } else if (this.triggerHits.length === 0) {
+      listBox.content.add(new TextRenderable(this.renderer, {
+        id: 'trigger-hits-empty',
+        content: t`${fg(COLORS.textDim)('No hits yet')}`,
+      }));
+    }
+    
+    this.triggerHits.forEach(({ trigger, line }, idx) => {
+      const processColor = this.processColors.get(line.process) || COLORS.text;
+      const time = new Date(line.timestamp).toLocaleTimeString('en-US', { hour12: false });
+      const hitText = new TextRenderable(this.renderer, {
+        id: `trigger-hit-${idx}`,
+        content: t`${fg(COLORS.textDim)(time)} ${fg(processColor)(`[${line.process}]`)} ${fg(COLORS.error)(trigger)} ${fg(COLORS.text)(getLineDisplayText(line))}`,
+      });
+      listBox.content.add(hitText);
+    });
+    overlay.add(listBox);
+    
+    const hint = new TextRenderable(this.renderer, {
+      id: 'trigger-hits-hint',
+      content: t`${fg(COLORS.accent)('c')} ${fg(COLORS.textDim)('to clear,')} ${fg(COLORS.accent)('Esc')} ${fg(COLORS.textDim)('to close')}`,
+    });
+    overlay.add(hint);
+    
+    parent.add(overlay);
+  }
+  
   // Build run command picker modal
   buildRunCommandModal(parent) {
     // Create centered overlay
@@ -3113,10 +5595,7 @@ class ProcessManager {
     const focusedPane = findPaneById(this.paneRoot, this.focusedPaneId);
     
     this.scripts.forEach((script, index) => {
-      const proc = this.processes.get(script.name);
-      const status = proc?.status || 'stopped';
-      const statusIcon = status === 'running' ? '●' : status === 'crashed' ? '!' : '○';
-      const statusColor = status === 'running' ? COLORS.success : status === 'crashed' ? COLORS.error : COLORS.textDim;
+      const { icon: statusIcon, color: statusColor } = this.getProcessStatusIndicator(script.name);
       const processColor = this.processColors.get(script.name) || COLORS.text;
       const isSelected = this.selectedIndex === index;
       const isVisible = this.isProcessVisibleInPane(script.name, focusedPane);
@@ -3124,6 +5603,7 @@ class ProcessManager {
       const numberColor = isVisible ? processColor : COLORS.textDim;
       const indicator = isSelected ? '>' : ' ';
       const bracketColor = isVisible ? processColor : COLORS.textDim;
+      const { errorBadge, warnBadge } = this.getLevelCountBadges(script.name);
       
       // Show number for first 9 processes
       const numberLabel = index < 9 ? `${index + 1}` : ' ';
@@ -3131,9 +5611,9 @@ class ProcessManager {
       // Build content - can't nest template literals, so build entire thing at once
       let content;
       if (isVisible) {
-        content = t`${fg(numberColor)(numberLabel)} ${fg(isSelected ? COLORS.accent : COLORS.textDim)(indicator)}${fg(bracketColor)('[')}${fg(COLORS.text)('✓')}${fg(bracketColor)(']')} ${fg(statusColor)(statusIcon)} ${fg(nameColor)(script.displayName)}`;
+        content = t`${fg(numberColor)(numberLabel)} ${fg(isSelected ? COLORS.accent : COLORS.textDim)(indicator)}${fg(bracketColor)('[')}${fg(COLORS.text)('✓')}${fg(bracketColor)(']')} ${fg(statusColor)(statusIcon)} ${this.formatProcessName(script, nameColor)}${errorBadge}${warnBadge}`;
       } else {
-        content = t`${fg(numberColor)(numberLabel)} ${fg(isSelected ? COLORS.accent : COLORS.textDim)(indicator)}${fg(bracketColor)('[ ]')} ${fg(statusColor)(statusIcon)} ${fg(nameColor)(script.displayName)}`;
+        content = t`${fg(numberColor)(numberLabel)} ${fg(isSelected ? COLORS.accent : COLORS.textDim)(indicator)}${fg(bracketColor)('[ ]')} ${fg(statusColor)(statusIcon)} ${this.formatProcessName(script, nameColor)}${errorBadge}${warnBadge}`;
       }
       
       const processItem = new TextRenderable(this.renderer, {
@@ -3209,6 +5689,29 @@ class ProcessManager {
       leftSide.add(filterIndicator);
     }
     
+    // Search indicator (the match counter is in the focused pane's title)
+    if (this.searchQuery || this.isSearchMode) {
+      const searchError = this.getSearchPattern()?.error;
+      const searchText = this.isSearchMode ? `?${this.searchQuery}_` : `?${this.searchQuery}`;
+      const searchIndicator = new TextRenderable(this.renderer, {
+        id: 'search-indicator',
+        content: searchError
+          ? t`${fg(COLORS.warning)(searchText)} ${fg(COLORS.error)(`✗ ${searchError}`)}`
+          : t`${fg(COLORS.warning)(searchText)}`,
+      });
+      leftSide.add(searchIndicator);
+    }
+    
+    // Attach mode indicator
+    if (this.attachedProcess) {
+      const script = this.scripts.find(s => s.name === this.attachedProcess);
+      const attachIndicator = new TextRenderable(this.renderer, {
+        id: 'attach-indicator',
+        content: t`${fg(COLORS.cyan)(`ATTACHED ${script?.displayName || this.attachedProcess}`)} ${fg(COLORS.textDim)('(Ctrl+] to detach)')}`,
+      });
+      leftSide.add(attachIndicator);
+    }
+    
     // Input mode indicator if active
     if (this.isInputMode) {
       const scriptName = this.scripts[this.selectedIndex]?.displayName || '';
@@ -3237,6 +5740,34 @@ class ProcessManager {
       leftSide.add(colorIndicator);
     }
     
+    // Inline error for an invalid filter query on the focused pane
+    const filterError = focusedPane?.filter?.trim() ? compileFilterQuery(focusedPane.filter).error : null;
+    if (filterError) {
+      const filterErrorIndicator = new TextRenderable(this.renderer, {
+        id: 'filter-error-indicator',
+        content: t`${fg(COLORS.error)(`✗ ${filterError}`)}`,
+      });
+      leftSide.add(filterErrorIndicator);
+    }
+    
+    // Stderr-only indicator if active on focused pane
+    if (focusedPane?.stderrOnly) {
+      const stderrIndicator = new TextRenderable(this.renderer, {
+        id: 'stderr-filter-indicator',
+        content: t`${fg(COLORS.error)('[stderr]')}`,
+      });
+      leftSide.add(stderrIndicator);
+    }
+    
+    // Minimum level indicator if set on focused pane
+    if (focusedPane?.minLevel) {
+      const levelIndicator = new TextRenderable(this.renderer, {
+        id: 'level-filter-indicator',
+        content: t`${fg(LEVEL_COLORS[focusedPane.minLevel])(`[≥${focusedPane.minLevel}]`)}`,
+      });
+      leftSide.add(levelIndicator);
+    }
+    
     // Performance metrics if enabled - save reference to container for updates
     this.perfIndicatorContainer = leftSide;
     if (this.showPerformanceMetrics) {
@@ -3263,19 +5794,33 @@ class ProcessManager {
       { key: 'e', desc: 'execute', color: COLORS.warning },
       { key: '1-9', desc: 'toggle', color: COLORS.success },
       { key: 'i', desc: 'input', color: COLORS.success },
+      { key: 'a', desc: 'attach', color: COLORS.cyan },
       { key: 'n', desc: 'name', color: COLORS.accent },
       { key: 'p', desc: 'pause', color: COLORS.warning },
       { key: '/', desc: 'filter', color: COLORS.cyan },
+      { key: '?', desc: 'search', color: COLORS.warning },
       { key: 'c', desc: 'color', color: COLORS.magenta },
+      { key: '!', desc: 'stderr', color: COLORS.error },
+      { key: 'm', desc: 'level', color: COLORS.warning },
       { key: 's', desc: 'stop', color: COLORS.error },
       { key: 'r', desc: 'restart', color: COLORS.success },
+      { key: 'w', desc: 'watch', color: COLORS.cyan },
+      { key: 'g', desc: 'log', color: COLORS.accent },
+      { key: 'v', desc: 'inspect', color: COLORS.cyan },
       { key: 'o', desc: 'settings', color: COLORS.magenta },
       { key: 'q', desc: 'quit', color: COLORS.error },
     ];
     
+    // Trigger hits popup, only useful once triggers are configured
+    if (this.triggers.length > 0) {
+      const hitCount = this.triggerHits.length ? ` (${this.triggerHits.length})` : '';
+      shortcuts.splice(shortcuts.findIndex(s => s.key === 'o'), 0, { key: 'T', desc: `triggers${hitCount}`, color: COLORS.error });
+    }
+    
     // Add configured quick command shortcuts
     const configShortcuts = this.config.shortcuts || {};
     for (const [key, scriptName] of Object.entries(configShortcuts)) {
+      if (RESERVED_SHORTCUT_KEYS.has(key)) continue;
       // Show first 3 shortcuts to avoid cluttering footer
       if (Object.keys(configShortcuts).length <= 3 || shortcuts.length < 15) {
         const script = this.allScripts.find(s => s.name === scriptName);
@@ -3319,36 +5864,141 @@ class ProcessManager {
       this.buildCommandOverlay(mainContainer);
     }
     
+    // Add JSON line inspect popup if open
+    if (this.inspectLine) {
+      this.buildInspectPopup(mainContainer);
+    }
+    
+    // Add trigger hits popup if open
+    if (this.showTriggerHits) {
+      this.buildTriggerHitsPopup(mainContainer);
+    }
+    
     this.renderer.root.add(mainContainer);
     this.runningContainer = mainContainer;
   }
 }
 
+// `startall validate`: report every config layer's problems and exit with 1 if there are any
+// errors (warnings are printed but don't fail)
+function validateConfigCommand(configErrors, configWarnings) {
+  if (!CONFIG_SCHEMA) {
+    console.error('startall.schema.json is missing; only JSON syntax was checked');
+  }
+  const configLayers = configStore.layers;
+  const layers = CONFIG_LAYERS.filter(layer => configLayers[layer].exists);
+  if (layers.length === 0) {
+    console.log(`No config files found (looked for ${CONFIG_LAYERS.map(layer => configLayers[layer].path).join(', ')})`);
+  }
+  for (const layer of layers) {
+    const { path, errors } = configLayers[layer];
+    console.log(`${errors.length > 0 ? chalk.red('✗') : chalk.green('✓')} ${layer}: ${path}`);
+  }
+  if (configErrors.length > 0) {
+    console.error(`\n${configErrors.join('\n')}`);
+    process.exitCode = 1;
+  }
+  if (configWarnings.length > 0) {
+    console.error(`\n${configWarnings.map(warning => chalk.yellow(`warning: ${warning}`)).join('\n')}`);
+  }
+}
+
 // Main
 async function main() {
+  if (ARGS.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (ARGS.version) {
+    console.log(APP_VERSION);
+    return;
+  }
+  if (ARGS.cwd) {
+    if (!existsSync(ARGS.cwd) || !statSync(ARGS.cwd).isDirectory()) {
+      exitWithUsageError(`--cwd: no such directory ${ARGS.cwd}`);
+    }
+    process.chdir(ARGS.cwd);
+  }
+  
   const cwd = process.cwd();
   const packageJsonPath = join(cwd, 'package.json');
-
-  if (!existsSync(packageJsonPath)) {
-    console.error(`Error: No package.json found in ${cwd}`);
+  const config = loadConfig();
+  
+  // Config problems are reported before the TUI takes over the screen
+  const { errors: configErrors, warnings: schemaWarnings } = getConfigProblems(ARGS.command === 'validate');
+  const configWarnings = [...schemaWarnings, ...getShortcutWarnings(config.shortcuts)];
+  if (ARGS.command === 'validate') {
+    validateConfigCommand(configErrors, configWarnings);
+    return;
+  }
+  if (configErrors.length > 0) {
+    console.error(configErrors.join('\n'));
+    console.error(`\nFix the config errors above (check again with 'startall validate').`);
     process.exit(1);
   }
-
-  const scripts = parseNpmScripts(packageJsonPath);
+  if (configWarnings.length > 0) {
+    console.error(configWarnings.map(warning => `warning: ${warning}`).join('\n'));
+  }
+  const packageManager = detectPackageManager(cwd, config);
+  const scripts = discoverScripts(cwd, config, packageManager);
   
+  // package.json is optional when a Procfile, compose file or startall.json provides processes
   if (scripts.length === 0) {
-    console.error('No npm scripts found in package.json');
+    if (!existsSync(packageJsonPath)) {
+      console.error(`Error: No package.json found in ${cwd}`);
+    } else {
+      console.error('No npm scripts found in package.json');
+    }
     process.exit(1);
   }
 
+  // Only load the optional PTY backend when a process asks for it
+  if (Object.values(config.processes || {}).some(options => options?.pty)) {
+    await loadPtyBackend();
+  }
+
+  // Profile and layout named on the command line
+  const profile = ARGS.profile ? config.profiles?.[ARGS.profile] : null;
+  if (ARGS.profile && !profile) {
+    exitWithUsageError(`Unknown profile "${ARGS.profile}" - available: ${Object.keys(config.profiles || {}).join(', ') || 'none'}`);
+  }
+  const layoutName = ARGS.layout || (typeof profile?.layout === 'string' ? profile.layout : null);
+  if (layoutName && !config.layouts?.[layoutName]) {
+    exitWithUsageError(`Unknown layout "${layoutName}" - available: ${Object.keys(config.layouts || {}).join(', ') || 'none'}`);
+  }
+  const unknown = (ARGS.select || []).filter(name => !scripts.some(s => s.name === name));
+  if (unknown.length > 0) {
+    exitWithUsageError(`Unknown process: ${unknown.join(', ')} - available: ${scripts.map(s => s.name).join(', ')}`);
+  }
+  const startupOptions = {
+    selection: ARGS.select,
+    selectAll: ARGS.all,
+    countdown: ARGS.countdown,
+    layout: ARGS.layout ? config.layouts[ARGS.layout] : null,
+    profile: ARGS.profile,
+    warnings: configWarnings,
+  };
+  
+  // Headless mode: no renderer or countdown, output goes straight to stdout
+  if (ARGS.headless) {
+    const success = ARGS.success || config.headless?.success || 'all';
+    const manager = new ProcessManager(null, scripts, config, packageManager, { ...startupOptions, headless: { success } });
+    if (!manager.runHeadless([...manager.selectedScripts])) {
+      process.exit(1);
+    }
+    // Exit like a shell would for the signal: 128 + signal number
+    process.on('SIGINT', () => manager.finishHeadless(130));
+    process.on('SIGTERM', () => manager.finishHeadless(143));
+    return;
+  }
+
   const renderer = await createCliRenderer();
   renderer.start(); // Start the automatic render loop
-  const manager = new ProcessManager(renderer, scripts);
+  const manager = new ProcessManager(renderer, scripts, config, packageManager, startupOptions);
   
-  // Handle cleanup on exit
+  // Handle cleanup on exit (a second signal forces an immediate kill)
   const handleExit = () => {
-    manager.cleanup();
-    renderer.destroy();
+    manager.quit();
   };
   
   process.on('SIGINT', handleExit);
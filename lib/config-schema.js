@@ -0,0 +1,125 @@
+// Config file parsing (jsonc-parser, for error locations) and schema validation (Ajv)
+
+import Ajv from 'ajv';
+import { parseTree, findNodeAtLocation, printParseErrorCode } from 'jsonc-parser';
+import { suggestName } from './suggest.js';
+
+// 1-based line and column of an offset in a text
+function getLineColumn(text, offset) {
+  const before = text.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+// JSON type name of a value, for messages
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Ajv's instancePath ('/processes/api/0') as path segments, array indexes as numbers
+function getPathSegments(instancePath, data) {
+  const segments = [];
+  let value = data;
+  for (const part of instancePath.split('/').slice(1)) {
+    const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+    const segment = Array.isArray(value) ? Number(key) : key;
+    segments.push(segment);
+    value = value?.[segment];
+  }
+  return segments;
+}
+
+// Path as shown in messages: processes.api.ready.port, ignore[0]
+function formatPath(segments) {
+  return segments.map((segment, i) => typeof segment === 'number' ? `[${segment}]` : `${i > 0 ? '.' : ''}${segment}`).join('');
+}
+
+// Readable message for one Ajv error
+function describeError(error) {
+  const { keyword, params, parentSchema, data } = error;
+  if (keyword === 'additionalProperties') {
+    const suggestion = suggestName(params.additionalProperty, Object.keys(parentSchema.properties || {}));
+    return `unknown property "${params.additionalProperty}"${suggestion ? ` - did you mean "${suggestion}"?` : ''}`;
+  }
+  if (keyword === 'required') return `missing required property "${params.missingProperty}"`;
+  if (keyword === 'type') return `expected ${[].concat(params.type).join(' or ')} but got ${getJsonType(data)}`;
+  if (keyword === 'enum') return `must be one of ${params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+  if (keyword === 'minimum') return `must be at least ${params.limit}`;
+  if (keyword === 'discriminator') {
+    return params.error === 'mapping' ? `unknown ${params.tag} ${JSON.stringify(params.tagValue)}` : `${params.tag} must be a string`;
+  }
+  return error.message;
+}
+
+// What a failed type or enum check accepted, for anyOf summaries
+function describeExpected(error) {
+  return error.keyword === 'enum'
+    ? error.params.allowedValues.map(value => JSON.stringify(value))
+    : [].concat(error.params.type);
+}
+
+// Ajv reports every failed anyOf option. Where an option has the right shape (its errors go
+// past a type or enum mismatch) only its errors are kept; otherwise the options collapse
+// into a single "expected string or array but got number"
+function simplifyAnyOfErrors(errors) {
+  const anyOfPaths = [...new Set(errors.filter(error => error.keyword === 'anyOf').map(error => error.instancePath))]
+    .sort((a, b) => b.length - a.length);  // Innermost first
+  for (const path of anyOfPaths) {
+    const within = error => error.instancePath === path || error.instancePath.startsWith(`${path}/`);
+    const isShapeError = error => error.instancePath === path && ['type', 'enum'].includes(error.keyword);
+    const related = errors.filter(error => within(error) && error.keyword !== 'anyOf');
+    const shapeErrors = related.filter(isShapeError);
+
+    let replacement = [];
+    if (related.length === shapeErrors.length && shapeErrors.length > 0) {
+      const expected = [...new Set(shapeErrors.flatMap(describeExpected))];
+      const { data } = shapeErrors[0];
+      replacement = [{
+        ...shapeErrors[0],
+        keyword: 'anyOf',
+        message: `expected ${expected.join(' or ')} but got ${typeof data === 'string' ? JSON.stringify(data) : getJsonType(data)}`,
+      }];
+    }
+    const firstIndex = errors.findIndex(within);
+    errors = errors.filter(error => !(within(error) && (error.keyword === 'anyOf' || isShapeError(error))));
+    errors.splice(Math.min(firstIndex, errors.length), 0, ...replacement);
+  }
+  return errors;
+}
+
+// Create a config parser for a JSON schema (null checks syntax only). The parser takes a
+// config file's text and returns { data, errors } where each error has a line, column, path,
+// message and `unknown` (true for unknown properties, which startall only warns about);
+// data is {} if the file isn't a valid JSON object
+export function createConfigParser(schema) {
+  const validate = schema
+    ? new Ajv({ allErrors: true, verbose: true, strict: false, discriminator: true }).compile(schema)
+    : null;
+
+  return text => {
+    const source = text.replace(/^﻿/, ' ');  // Ignore a byte order mark, keeping offsets
+    const parseErrors = [];
+    const tree = parseTree(source, parseErrors, { disallowComments: true, allowTrailingComma: false, allowEmptyContent: false });
+    if (parseErrors.length > 0 || !tree) {
+      const { error = 0, offset = 0 } = parseErrors[0] || {};
+      const message = printParseErrorCode(error).replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+      return { data: {}, errors: [{ ...getLineColumn(source, offset), path: '', message: `invalid JSON: ${message}`, unknown: false }] };
+    }
+
+    const data = JSON.parse(source);  // Plain objects (getNodeValue's have no prototype)
+    const errors = validate && !validate(data)
+      ? simplifyAnyOfErrors(validate.errors).map(error => {
+        const segments = getPathSegments(error.instancePath, data);
+        const unknown = error.keyword === 'additionalProperties';
+        if (unknown) segments.push(error.params.additionalProperty);
+        // Point at the property name for unknown keys, else at the value
+        const node = findNodeAtLocation(tree, segments) || tree;
+        const offset = unknown && node.parent?.type === 'property' ? node.parent.offset : node.offset;
+        return { ...getLineColumn(source, offset), path: formatPath(segments), message: describeError(error), unknown };
+      })
+      : [];
+    const isObject = getJsonType(data) === 'object';
+    return { data: isObject ? data : {}, errors };
+  };
+}
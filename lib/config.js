@@ -0,0 +1,125 @@
+// Layered config: the user config, the project's startall.json and its .local sibling
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname, extname } from 'path';
+import { homedir } from 'os';
+import { isDeepStrictEqual } from 'util';
+
+// Config layers, lowest priority first. A top-level key is taken whole from the highest
+// layer that sets it
+export const CONFIG_LAYERS = ['user', 'project', 'local'];
+
+// Layer a key is first saved to; keys not listed go to the project file
+const CONFIG_KEY_LAYERS = {
+  showLineNumbers: 'user',
+  showTimestamps: 'user',
+  showPerformanceMetrics: 'user',
+  scrollback: 'user',
+  shortcuts: 'user',
+  notifyProtocol: 'user',
+  defaultSelection: 'local',
+  paneLayout: 'local',
+};
+
+function createDefaultConfig() {
+  return { defaultSelection: [], ignore: [], shortcuts: {} };
+}
+
+// File of each config layer: the user config (XDG config dir), the project file and its
+// git-ignored .local sibling (startall.json -> startall.local.json)
+export function getConfigLayerPaths(configFile, env = process.env) {
+  const configHome = env.XDG_CONFIG_HOME
+    || (process.platform === 'win32' && env.APPDATA)
+    || join(homedir(), '.config');
+  const ext = extname(configFile);
+  return {
+    user: join(configHome, 'startall', 'config.json'),
+    project: configFile,
+    local: `${configFile.slice(0, configFile.length - ext.length)}.local${ext || '.json'}`,
+  };
+}
+
+// Read and validate one config layer with parse(text) -> { data, errors }; a missing file
+// is an empty layer
+function readConfigLayer(path, parse) {
+  if (!existsSync(path)) return { path, data: {}, saved: '{}', exists: false, errors: [] };
+  let text;
+  try {
+    text = readFileSync(path, 'utf8');
+  } catch (error) {
+    return { path, data: {}, saved: '{}', exists: true, errors: [{ line: 1, column: 1, path: '', message: error.message }] };
+  }
+  const { data, errors } = parse(text);
+  return { path, data, saved: JSON.stringify(data), exists: true, errors };
+}
+
+// Config store for one project. getPaths() returns each layer's file (read on every load, so
+// it follows --cwd and the environment) and parse(text) returns { data, errors } where
+// errors have a line, column, path, message and `unknown` (an unknown property, which is
+// kept as it is when saving).
+export function createConfigStore({ getPaths, parse }) {
+  // layer -> { path, data, saved, exists, errors } from the last load(). `saved` is a JSON
+  // snapshot of the file's contents (the merged config shares objects with `data`)
+  let layers = null;
+  
+  const store = {
+    get layers() {
+      return layers;
+    },
+    
+    // Read every layer and merge them over the defaults
+    load() {
+      const paths = getPaths();
+      layers = Object.fromEntries(CONFIG_LAYERS.map(layer => [layer, readConfigLayer(paths[layer], parse)]));
+      return Object.assign(createDefaultConfig(), ...CONFIG_LAYERS.map(layer => layers[layer].data));
+    },
+    
+    // Layer that sets a config key, or null if it has its default value
+    getSource(key) {
+      if (!layers) return null;
+      return [...CONFIG_LAYERS].reverse().find(layer => key in layers[layer].data) || null;
+    },
+    
+    // Save config: each key is written to the layer that sets it, or to its default layer if
+    // none does yet. A key missing from config is removed from the layer that sets it, which
+    // reveals a lower layer's value if there is one (removing a local `shortcuts` brings back
+    // the user's). Only changed files are written, and files with errors other than unknown
+    // properties are left alone. Returns the files that couldn't be written, including those
+    // left alone, as [{ path, message }]
+    save(config) {
+      if (!layers) store.load();
+      const defaults = createDefaultConfig();
+      const next = Object.fromEntries(CONFIG_LAYERS.map(layer => [layer, { ...layers[layer].data }]));
+      
+      const keys = new Set([...Object.keys(config), ...CONFIG_LAYERS.flatMap(layer => Object.keys(next[layer]))]);
+      for (const key of keys) {
+        const source = store.getSource(key);
+        if (!(key in config)) {
+          if (source) delete next[source][key];
+        } else if (source || !isDeepStrictEqual(config[key], defaults[key])) {
+          next[source || CONFIG_KEY_LAYERS[key] || 'project'][key] = config[key];
+        }
+      }
+      
+      const failures = [];
+      for (const layer of CONFIG_LAYERS) {
+        const { path, saved, errors } = layers[layer];
+        const snapshot = JSON.stringify(next[layer]);
+        if (snapshot === saved) continue;
+        if (errors.some(error => !error.unknown)) {
+          failures.push({ path, message: 'the file has errors, fix them to save changes to it' });
+          continue;
+        }
+        try {
+          mkdirSync(dirname(path), { recursive: true });
+          writeFileSync(path, JSON.stringify(next[layer], null, 2));
+          layers[layer] = { path, data: next[layer], saved: snapshot, exists: true, errors: [] };
+        } catch (error) {
+          failures.push({ path, message: error.message });
+        }
+      }
+      return failures;
+    },
+  };
+  return store;
+}
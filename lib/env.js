@@ -0,0 +1,84 @@
+// Environment handling: .env files, inline env, interpolation and masking for display
+
+import { readFileSync, existsSync } from 'fs';
+import { resolve } from 'path';
+
+// Parse a .env file into [{ key, value, interpolate }] in file order. Supports comments,
+// `export KEY=...`, single quotes (literal), double quotes (escapes, multiline),
+// unquoted values with trailing `# comments` and empty values (`KEY=`).
+export function parseEnvFile(content) {
+  const entries = [];
+  const pattern = /^[ \t]*(?:export[ \t]+)?([\w.-]+)[ \t]*=[ \t]*('(?:[^'])*'|"(?:[^"\\]|\\.)*"|[^\n]*)/gm;
+  let match;
+  
+  while ((match = pattern.exec(content)) !== null) {
+    const [, key, raw] = match;
+    let value = raw.trim();
+    let interpolate = true;
+    
+    if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+      value = value.slice(1, -1);
+      interpolate = false;
+    } else if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+      value = value.slice(1, -1).replace(/\\([nrt"\\$])/g, (_, ch) => (
+        { n: '\n', r: '\r', t: '\t' }[ch] || ch
+      ));
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    
+    entries.push({ key, value, interpolate });
+  }
+  
+  return entries;
+}
+
+// Expand ${VAR}, ${VAR:-default} and $VAR references against env
+export function interpolateEnvValue(value, env) {
+  return String(value).replace(/\$\{(\w+)(?::-([^}]*))?\}|\$(\w+)/g, (_, braced, fallback, bare) => {
+    const current = env[braced || bare];
+    if (current !== undefined && current !== '') return current;
+    return fallback !== undefined ? interpolateEnvValue(fallback, env) : '';
+  });
+}
+
+// Layer env files and inline env objects over a base environment. Each layer is
+// { envFile, env, baseDir, label }; envFile can be a path or a list of paths, later files
+// winning. Returns the environment, where each variable came from and env files that
+// couldn't be read.
+export function buildEnvironment(baseEnv, layers) {
+  const env = { ...baseEnv };
+  const sources = new Map();
+  const missingFiles = [];
+  
+  for (const { envFile, env: inline, baseDir, label } of layers) {
+    const files = envFile ? [envFile].flat() : [];
+    for (const file of files) {
+      const filePath = resolve(baseDir, file);
+      if (!existsSync(filePath)) {
+        missingFiles.push(filePath);
+        continue;
+      }
+      for (const { key, value, interpolate } of parseEnvFile(readFileSync(filePath, 'utf8'))) {
+        env[key] = interpolate ? interpolateEnvValue(value, env) : value;
+        sources.set(key, file);
+      }
+    }
+    
+    for (const [key, value] of Object.entries(inline || {})) {
+      env[key] = interpolateEnvValue(value, env);
+      sources.set(key, label);
+    }
+  }
+  
+  return { env, sources, missingFiles };
+}
+
+// Hide values that look like secrets: sensitive key names and passwords inside URLs
+export const SECRET_ENV_KEY = /SECRET|PASSWORD|PASSWD|TOKEN|API_?KEY|PRIVATE|CREDENTIAL|AUTH/i;
+export function maskEnvValue(key, value) {
+  if (SECRET_ENV_KEY.test(key)) {
+    return value ? '*'.repeat(Math.min(value.length, 8)) : '';
+  }
+  return value.replace(/(\/\/[^:/@\s]+:)[^@\s]+@/g, '$1****@');
+}
@@ -0,0 +1,96 @@
+// Pane filter queries (see Filter Queries in the README)
+
+import { LEVEL_ALIASES, getLineLevel, getLineSearchText, formatJsonValue, getJsonField } from './log-lines.js';
+
+// Filter query language. Terms separated by spaces must all match; `OR` between terms
+// starts an alternative. A term is a word or "quoted phrase" (case-insensitive substring
+// of the process name or text), a /regex/flags, or a field qualifier (proc:, stream:,
+// level:, or .path: for a field of a JSON log line) followed by either. A leading `-`
+// negates a term.
+const FILTER_FIELDS = ['proc', 'stream', 'level'];
+const FILTER_TOKEN = /(-?)(?:(proc|stream|level|\.[\w$@.-]+):)?(?:\/((?:[^/\\]|\\.)*)\/([dgimsuvy]*)(?=\s|$)|"((?:[^"\\]|\\.)*)"(?=\s|$)|(\S+))/y;
+
+// Build the predicate for one term. Plain values match as substrings, except for stream:,
+// level: and JSON fields, which must match exactly.
+function compileFilterTerm(field, regex, value) {
+  const test = regex
+    ? (subject) => { regex.lastIndex = 0; return regex.test(subject); }
+    : null;
+  
+  if (field?.startsWith('.')) {
+    return line => {
+      const fieldValue = line.json ? getJsonField(line.json.object, field) : undefined;
+      if (fieldValue === undefined) return false;
+      const text = formatJsonValue(fieldValue);
+      return test ? test(text) : text.toLowerCase() === value;
+    };
+  } else if (field === 'proc') {
+    return test ? line => test(line.process) : line => line.processLower.includes(value);
+  } else if (field === 'stream') {
+    return test ? line => test(line.stream) : line => line.stream === value;
+  } else if (field === 'level') {
+    const level = LEVEL_ALIASES[value] || value;
+    return test ? line => test(getLineLevel(line) || '') : line => getLineLevel(line) === level;
+  }
+  return test
+    ? line => test(getLineSearchText(line).plain) || test(line.process)
+    : line => getLineSearchText(line).lower.includes(value) || line.processLower.includes(value);
+}
+
+function parseFilterQuery(query) {
+  const alternatives = [[]];
+  let pos = 0;
+  
+  while (pos < query.length) {
+    if (/\s/.test(query[pos])) {
+      pos++;
+      continue;
+    }
+    FILTER_TOKEN.lastIndex = pos;
+    const [token, negate, field, regexSource, regexFlags, quoted, word] = FILTER_TOKEN.exec(query);
+    pos += token.length;
+    const terms = alternatives[alternatives.length - 1];
+    
+    if (token === 'OR') {
+      if (terms.length === 0) return { error: 'OR needs a term on both sides' };
+      alternatives.push([]);
+      continue;
+    }
+    if (word?.startsWith('"')) return { error: 'Unterminated quote' };
+    if (!field && word?.endsWith(':') && (FILTER_FIELDS.includes(word.slice(0, -1)) || /^\.[\w$@.-]+:$/.test(word))) {
+      return { error: `${word} needs a value` };
+    }
+    
+    let regex = null;
+    if (regexSource !== undefined) {
+      try {
+        regex = new RegExp(regexSource, regexFlags);
+      } catch (err) {
+        return { error: err.message };
+      }
+    }
+    const value = (quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : word || '').toLowerCase();
+    const matchTerm = compileFilterTerm(field, regex, value);
+    terms.push(negate ? line => !matchTerm(line) : matchTerm);
+  }
+  
+  if (alternatives.length > 1 && alternatives[alternatives.length - 1].length === 0) {
+    return { error: 'OR needs a term on both sides' };
+  }
+  return {
+    match: line => alternatives.some(terms => terms.every(matchTerm => matchTerm(line))),
+  };
+}
+
+// Compile a filter query into { match(line) } or { error } (compiled queries are cached)
+const filterQueryCache = new Map();
+export function compileFilterQuery(query) {
+  let compiled = filterQueryCache.get(query);
+  if (!compiled) {
+    // Queries are typed a character at a time, so don't let the cache grow unbounded
+    if (filterQueryCache.size >= 200) filterQueryCache.clear();
+    compiled = parseFilterQuery(query);
+    filterQueryCache.set(query, compiled);
+  }
+  return compiled;
+}
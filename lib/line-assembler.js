@@ -0,0 +1,67 @@
+// Turn a process's output chunks into lines, including unfinished lines and `\r` rewrites
+
+// Resolve `\r` rewrites (progress bars, spinners) to what a terminal ends up showing:
+// the text after the last carriage return. A trailing `\r` from CRLF is ignored.
+export function collapseCarriageReturns(text) {
+  if (!text.includes('\r')) return text;
+  const segments = text.split('\r').filter(Boolean);
+  return segments[segments.length - 1] || '';
+}
+
+// Assemble one output stream's chunks into lines. Lines go to onLine(text, complete),
+// which returns the stored line. An unfinished line (a prompt, a progress bar) is shown
+// `flushDelay` ms after it starts arriving, and then updated in place through
+// onUpdate(line, text, complete) at most every `flushDelay` ms as more of it arrives, so
+// a progress bar that never goes quiet still shows. Blank lines are kept as they are.
+export function createLineAssembler({ onLine, onUpdate, flushDelay = 100 }) {
+  let buffer = '';  // Unfinished line
+  let openLine = null;  // Stored line already showing the unfinished line
+  let flushTimer = null;
+  
+  const emit = (text, complete) => {
+    const visible = collapseCarriageReturns(text);
+    
+    if (openLine) {
+      onUpdate(openLine, visible, complete);
+      if (complete) openLine = null;
+      return;
+    }
+    
+    // An unfinished line with nothing to show yet waits for more output
+    if (!complete && !visible.trim()) return;
+    const line = onLine(visible, complete);
+    if (!complete) openLine = line;
+  };
+  
+  const flushPartial = () => {
+    flushTimer = null;
+    if (buffer) emit(buffer, false);
+  };
+  
+  return {
+    push(chunk) {
+      const lines = (buffer + chunk).split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        emit(line, true);
+      }
+      
+      // Only the latest rewrite of the unfinished line matters
+      if (buffer.includes('\r')) {
+        buffer = collapseCarriageReturns(buffer) + (buffer.endsWith('\r') ? '\r' : '');
+      }
+      
+      // Show the unfinished line on a fixed interval; later chunks don't push the timer back
+      if (buffer && !flushTimer) flushTimer = setTimeout(flushPartial, flushDelay);
+    },
+    
+    // Emit whatever is buffered (the stream ended)
+    flush() {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      if (buffer) emit(buffer, true);
+      buffer = '';
+      openLine = null;
+    },
+  };
+}
@@ -0,0 +1,161 @@
+// Output line helpers: ANSI colors, levels and structured (JSON) log lines
+
+import stripAnsi from 'strip-ansi';
+
+// Get ANSI color codes for a color name (includes normal and bright variants)
+function getAnsiColorCodes(colorName) {
+  const colorMap = {
+    red: [31, 91],      // normal red, bright red
+    yellow: [33, 93],   // normal yellow, bright yellow (warnings)
+    green: [32, 92],    // normal green, bright green
+    blue: [34, 94],     // normal blue, bright blue
+    cyan: [36, 96],     // normal cyan, bright cyan
+    magenta: [35, 95],  // normal magenta, bright magenta
+  };
+  return colorMap[colorName] || [];
+}
+
+// Check if a line contains a specific ANSI color
+export function lineHasColor(text, colorName) {
+  const codes = getAnsiColorCodes(colorName);
+  // Match ANSI escape sequences like \x1b[31m, \x1b[91m, \x1b[1;31m, etc.
+  for (const code of codes) {
+    // Check for direct color code: \x1b[31m
+    if (text.includes(`\x1b[${code}m`)) return true;
+    // Check for color with modifiers: \x1b[1;31m, \x1b[0;31m, etc.
+    if (text.includes(`;${code}m`)) return true;
+    // Check for color at start of sequence: \x1b[31;1m
+    if (text.includes(`\x1b[${code};`)) return true;
+  }
+  return false;
+}
+
+// Plain (ANSI-stripped) and lowercased text of a line, cached on the line for filtering
+export function getLineSearchText(line) {
+  if (!line.search) {
+    const plain = stripAnsi(line.text);
+    line.search = { plain, lower: plain.toLowerCase() };
+  }
+  return line.search;
+}
+
+// Log levels, lowest first, and the text markers they're guessed from (ERROR, [warn],
+// level=info, ...)
+const LEVEL_ORDER = ['debug', 'info', 'warn', 'error'];
+const LEVEL_PATTERNS = [
+  ['error', /\b(error|err|fatal|panic|exception|failed)\b/i],
+  ['warn', /\b(warn|warning|deprecated)\b/i],
+  ['info', /\b(info|notice)\b/i],
+  ['debug', /\b(debug|trace|verbose)\b/i],
+];
+export const LEVEL_ALIASES = { err: 'error', fatal: 'error', warning: 'warn', trace: 'debug' };
+
+// A line's level: the level field of a JSON line, else a text marker, else the color
+// the line is printed in (red = error, yellow = warn). Cached on the line.
+export function getLineLevel(line) {
+  if (line.level === undefined) {
+    const { plain } = getLineSearchText(line);
+    line.level = line.json?.level
+      || LEVEL_PATTERNS.find(([, pattern]) => pattern.test(plain))?.[0]
+      || (lineHasColor(line.text, 'red') && 'error')
+      || (lineHasColor(line.text, 'yellow') && 'warn')
+      || null;
+  }
+  return line.level;
+}
+
+// Whether a line's level is at least minLevel. Lines without a detected level count as
+// info, so plain output stays visible at `info` and is hidden at `warn` and above
+export function lineMeetsLevel(line, minLevel) {
+  return LEVEL_ORDER.indexOf(getLineLevel(line) || 'info') >= LEVEL_ORDER.indexOf(minLevel);
+}
+
+// Structured (JSON) log lines from pino, bunyan, winston and similar loggers. The first
+// key found of each list is used; pid/hostname/v are pino and bunyan boilerplate.
+const JSON_LOG_KEYS = {
+  level: ['level', 'lvl', 'severity', 'loglevel'],
+  message: ['msg', 'message'],
+  time: ['time', 'timestamp', '@timestamp', 'ts'],
+  hidden: ['pid', 'hostname', 'v'],
+};
+const NUMERIC_LOG_LEVELS = [[60, 'fatal'], [50, 'error'], [40, 'warn'], [30, 'info'], [20, 'debug'], [0, 'trace']];
+const JSON_LEVEL_ALIASES = { critical: 'error', crit: 'error', alert: 'error', emerg: 'error', notice: 'info', verbose: 'debug', silly: 'debug' };
+
+// One of LEVEL_ORDER for a logger's level name. Names without a known mapping (winston's
+// http, custom levels like 'Information') count as info, so they aren't hidden at `info`
+function normalizeLevel(label) {
+  const level = JSON_LEVEL_ALIASES[label] || LEVEL_ALIASES[label] || label;
+  return LEVEL_ORDER.includes(level) ? level : 'info';
+}
+
+// A field value as shown in compact lines and matched by filters
+export function formatJsonValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Parse a JSON log line into { object, level, levelLabel, message, time, fields, text },
+// where text is the compact "message key=value ..." rendering. Returns null for lines
+// that aren't a JSON object.
+export function parseJsonLogLine(rawText) {
+  const plain = stripAnsi(rawText).trim();
+  if (!plain.startsWith('{') || !plain.endsWith('}')) return null;
+  
+  let object;
+  try {
+    object = JSON.parse(plain);
+  } catch {
+    return null;
+  }
+  
+  const findKey = keys => keys.find(key => object[key] !== undefined && object[key] !== null);
+  const levelKey = findKey(JSON_LOG_KEYS.level);
+  const messageKey = findKey(JSON_LOG_KEYS.message);
+  const timeKey = findKey(JSON_LOG_KEYS.time);
+  
+  let levelLabel = null;
+  if (typeof object[levelKey] === 'number') {
+    // Levels below the lowest threshold (e.g. -1) count as the lowest
+    levelLabel = NUMERIC_LOG_LEVELS.find(([min]) => object[levelKey] >= min)?.[1] ?? 'trace';
+  } else if (levelKey) {
+    levelLabel = String(object[levelKey]).trim().toLowerCase();
+  }
+  const level = levelLabel ? normalizeLevel(levelLabel) : null;
+  
+  // Epoch times may be in seconds (e.g. Python's structlog) or milliseconds (pino)
+  const rawTime = object[timeKey];
+  let time = typeof rawTime === 'number' ? (rawTime < 1e11 ? rawTime * 1000 : rawTime) : Date.parse(rawTime);
+  if (!Number.isFinite(time)) time = null;
+  
+  const message = messageKey ? formatJsonValue(object[messageKey]) : '';
+  const skipped = [levelKey, messageKey, timeKey, ...JSON_LOG_KEYS.hidden];
+  const fields = Object.entries(object).filter(([key]) => !skipped.includes(key));
+  const fieldText = fields.map(([key, value]) => {
+    const text = formatJsonValue(value);
+    return `${key}=${typeof value === 'string' && /\s/.test(value) ? JSON.stringify(value) : text}`;
+  });
+  
+  return {
+    object,
+    level,
+    levelLabel,
+    message,
+    time,
+    fields,
+    text: [message, ...fieldText].filter(Boolean).join(' '),
+  };
+}
+
+// Text a line is shown with: the compact rendering for JSON lines, else the plain text
+export function getLineDisplayText(line) {
+  return line.json ? line.json.text : getLineSearchText(line).plain;
+}
+
+// Look up a dotted path (e.g. req.method) in a parsed JSON log object
+export function getJsonField(object, path) {
+  let value = object;
+  for (const key of path.split('.').filter(Boolean)) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[key];
+  }
+  return value;
+}
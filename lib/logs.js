@@ -0,0 +1,85 @@
+// Log files: settings, rotation by size and age, and cleanup of old rotated files
+
+import { existsSync, readdirSync, statSync, renameSync, unlinkSync, openSync, readSync, closeSync } from 'fs';
+import { join } from 'path';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Log file defaults; `logs` in startall.json (true or an object) overrides them for every
+// process and `processes.<name>.log` (true, false or an object) for a single process
+export const DEFAULT_LOG_SETTINGS = {
+  dir: '.startall/logs',
+  stripAnsi: true,
+  maxSize: 10 * 1024 * 1024,  // Rotate once a file would grow past this many bytes
+  maxFiles: 5,  // Rotated files kept per process (name.1.log is the newest)
+  maxAgeDays: 14,  // Rotate files started longer ago than this and delete older rotated ones (0 = no age limit)
+};
+
+export function getLogSettings(logs, processLog) {
+  const globalEnabled = !!logs && logs.enabled !== false;
+  const enabled = processLog == null ? globalEnabled : processLog !== false && processLog.enabled !== false;
+  return {
+    ...DEFAULT_LOG_SETTINGS,
+    ...(typeof logs === 'object' ? logs : {}),
+    ...(typeof processLog === 'object' ? processLog : {}),
+    enabled,
+  };
+}
+
+// Script names can contain `:` and `/` (workspace scripts), which aren't safe in file names.
+// Anything but letters, digits, `_` and `-` is percent-encoded, so different names never share
+// a file (web:dev -> web%3Adev.log, web/dev -> web%2Fdev.log) and dots can't be mistaken for
+// a rotated file's number
+export function getLogFileName(scriptName) {
+  const encoded = scriptName.replace(/[^\w-]/gu, char =>
+    [...Buffer.from(char)].map(byte => `%${byte.toString(16).toUpperCase().padStart(2, '0')}`).join(''));
+  return `${encoded}.log`;
+}
+
+// When a log file was started, in ms: the time in the session header on its first line,
+// or the file's mtime if it doesn't start with one
+export function getLogFileStartTime(filePath) {
+  const head = Buffer.alloc(128);
+  const fd = openSync(filePath, 'r');
+  let length;
+  try {
+    length = readSync(fd, head, 0, head.length, 0);
+  } finally {
+    closeSync(fd);
+  }
+  const match = head.toString('utf8', 0, length).match(/^===== startall session (\S+) =====/);
+  const time = match ? Date.parse(match[1]) : NaN;
+  return Number.isNaN(time) ? statSync(filePath).mtimeMs : time;
+}
+
+// Whether the active log file ({ size, startedAt }) should be rotated before `bytes` more
+// are written: it would grow past maxSize, or it was started more than maxAgeDays ago.
+// Empty files are never rotated
+export function needsLogRotation({ size, startedAt }, bytes, { maxSize, maxAgeDays }, now = Date.now()) {
+  if (size === 0) return false;
+  return size + bytes > maxSize || (maxAgeDays > 0 && now - startedAt > maxAgeDays * DAY_MS);
+}
+
+// Shift name.log -> name.1.log -> name.2.log ..., dropping the oldest beyond maxFiles
+export function rotateLogFile(filePath, maxFiles) {
+  const base = filePath.replace(/\.log$/, '');
+  if (maxFiles < 1) {
+    unlinkSync(filePath);
+    return;
+  }
+  for (let i = maxFiles; i >= 1; i--) {
+    const from = i === 1 ? filePath : `${base}.${i - 1}.log`;
+    if (existsSync(from)) renameSync(from, `${base}.${i}.log`);
+  }
+}
+
+// Delete rotated log files that haven't been written to in maxAgeDays (0 keeps them)
+export function pruneOldLogs(dir, maxAgeDays, now = Date.now()) {
+  if (!(maxAgeDays > 0)) return;
+  const cutoff = now - maxAgeDays * DAY_MS;
+  for (const file of readdirSync(dir)) {
+    if (!/\.\d+\.log$/.test(file)) continue;
+    const filePath = join(dir, file);
+    if (statSync(filePath).mtimeMs < cutoff) unlinkSync(filePath);
+  }
+}
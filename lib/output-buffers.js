@@ -0,0 +1,77 @@
+// Per-process output storage and merging the buffers a pane shows
+
+// Fixed-capacity list that drops its oldest item once full
+export function createRingBuffer(capacity) {
+  let items = new Array(capacity);
+  let start = 0;
+  let length = 0;
+  
+  const buffer = {
+    get length() {
+      return length;
+    },
+    get capacity() {
+      return capacity;
+    },
+    push(item) {
+      if (length < capacity) {
+        items[(start + length++) % capacity] = item;
+      } else {
+        items[start] = item;
+        start = (start + 1) % capacity;
+      }
+    },
+    at(index) {
+      return index >= 0 && index < length ? items[(start + index) % capacity] : undefined;
+    },
+    toArray() {
+      const result = new Array(length);
+      for (let i = 0; i < length; i++) result[i] = items[(start + i) % capacity];
+      return result;
+    },
+    // Change the capacity, keeping the newest items
+    resize(newCapacity) {
+      const kept = buffer.toArray().slice(-newCapacity);
+      capacity = newCapacity;
+      items = new Array(capacity);
+      kept.forEach((item, i) => { items[i] = item; });
+      start = 0;
+      length = kept.length;
+    },
+  };
+  return buffer;
+}
+
+// Index of the last item of an ordered line list with a line number below `before` (-1 if none)
+function findLastBefore(list, before) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (list.at(middle).lineNumber < before) low = middle + 1;
+    else high = middle;
+  }
+  return low - 1;
+}
+
+// K-way merge of per-process line lists (ring buffers or arrays, each ordered by line number),
+// walked back from the newest line below `before` so only the lines needed are visited.
+// Returns up to `limit` lines that pass `accept`, oldest first, stopping at line number `after`
+export function mergeByLineNumber(lists, { limit = Infinity, accept = null, after = 0, before = Infinity } = {}) {
+  const positions = lists.map(list => before === Infinity ? list.length - 1 : findLastBefore(list, before));
+  const result = [];
+  while (result.length < limit) {
+    let newest = -1;
+    for (let i = 0; i < lists.length; i++) {
+      if (positions[i] < 0) continue;
+      if (newest === -1 || lists[i].at(positions[i]).lineNumber > lists[newest].at(positions[newest]).lineNumber) {
+        newest = i;
+      }
+    }
+    if (newest === -1) break;
+    const line = lists[newest].at(positions[newest]--);
+    if (line.lineNumber <= after) break;
+    if (!accept || accept(line)) result.push(line);
+  }
+  return result.reverse();
+}
@@ -0,0 +1,12 @@
+// Process name patterns with `*` wildcards (`include`, `ignore`, trigger `processes`)
+
+// Match string against pattern with wildcard support
+const patternCache = new Map();
+export function matchesPattern(str, pattern) {
+  let regex = patternCache.get(pattern);
+  if (!regex) {
+    regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
+    patternCache.set(pattern, regex);
+  }
+  return regex.test(str);
+}
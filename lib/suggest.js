@@ -0,0 +1,22 @@
+// Did-you-mean suggestions for mistyped names (CLI flags, config keys)
+
+// Levenshtein distance between two strings
+function editDistance(a, b) {
+  let row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    row = next;
+  }
+  return row[b.length];
+}
+
+// Closest of `candidates` to a mistyped name (edit distance of at most 2), or null
+export function suggestName(name, candidates) {
+  const best = candidates
+    .map(candidate => ({ candidate, score: editDistance(name, candidate) }))
+    .sort((a, b) => a.score - b.score)[0];
+  return best && best.score <= 2 ? best.candidate : null;
+}
@@ -0,0 +1,66 @@
+// Triggers run actions when an output line matches a pattern (config `triggers`)
+
+import { matchesPattern } from './patterns.js';
+
+const TRIGGER_ACTIONS = ['flash', 'bell', 'notify', 'pause', 'focus'];
+const DEFAULT_TRIGGER_COOLDOWN = 5000;  // ms before a trigger fires again for the same process
+
+// Compile the `triggers` config ([{ name, pattern, flags, processes, actions, cooldown }]).
+// A trigger without a valid pattern never matches; config errors are shown when an
+// affected process starts.
+export function compileTriggers(triggers = []) {
+  return triggers.map((trigger, index) => {
+    const actions = trigger.actions || ['flash'];
+    const compiled = {
+      name: trigger.name || trigger.pattern || `trigger ${index + 1}`,
+      regex: null,
+      processes: trigger.processes || [],
+      actions: actions.filter(action => TRIGGER_ACTIONS.includes(action)),
+      cooldown: trigger.cooldown ?? DEFAULT_TRIGGER_COOLDOWN,
+      lastFired: new Map(),  // scriptName -> time actions last ran
+      errors: actions.filter(action => !TRIGGER_ACTIONS.includes(action)).map(action => `Unknown action "${action}"`),
+    };
+    if (!trigger.pattern) {
+      compiled.errors.push('Missing pattern');
+    } else {
+      try {
+        compiled.regex = new RegExp(trigger.pattern, trigger.flags || '');
+      } catch (err) {
+        compiled.errors.push(`Invalid pattern: ${err.message}`);
+      }
+    }
+    return compiled;
+  });
+}
+
+// Whether a trigger watches a process (processes may use * wildcards; empty = all)
+export function triggerAppliesTo(trigger, scriptName) {
+  return trigger.processes.length === 0 || trigger.processes.some(pattern => matchesPattern(scriptName, pattern));
+}
+
+// Triggers matching a process's output line, as [{ trigger, fire }]. `fire` is false while
+// the trigger is within its cooldown for the process; otherwise the firing is recorded.
+export function matchTriggers(triggers, scriptName, text, now = Date.now()) {
+  const matches = [];
+  for (const trigger of triggers) {
+    if (!trigger.regex || !triggerAppliesTo(trigger, scriptName)) continue;
+    trigger.regex.lastIndex = 0;
+    if (!trigger.regex.test(text)) continue;
+    
+    const fire = now - (trigger.lastFired.get(scriptName) ?? -Infinity) >= trigger.cooldown;
+    if (fire) trigger.lastFired.set(scriptName, now);
+    matches.push({ trigger, fire });
+  }
+  return matches;
+}
+
+// Terminal escape sequence for a desktop notification: OSC 9 (iTerm2, Windows Terminal,
+// ConEmu, ...) or OSC 777 (rxvt, foot, Ghostty, ...). Inside tmux it's wrapped in a
+// passthrough sequence so it reaches the outer terminal.
+export function buildNotificationSequence(title, body, protocol = 'osc9', env = process.env) {
+  const clean = text => text.replace(/[\x00-\x1f\x7f]/g, ' ');
+  const sequence = protocol === 'osc777'
+    ? `\x1b]777;notify;${clean(title).replace(/;/g, ',')};${clean(body)}\x07`
+    : `\x1b]9;${clean(title)}: ${clean(body)}\x07`;
+  return env.TMUX ? `\x1bPtmux;${sequence.replace(/\x1b/g, '\x1b\x1b')}\x1b\\` : sequence;
+}
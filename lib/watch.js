@@ -0,0 +1,69 @@
+// File watching helpers for the `watch` and `watchIgnore` process options
+
+import { readdirSync } from 'fs';
+import { join } from 'path';
+
+// Ignored by default when watching
+export const DEFAULT_WATCH_IGNORE = ['**/node_modules/**', '**/.git/**'];
+
+// Convert a file glob to a RegExp: `**` spans directories, `*` and `?` stay within one
+const globCache = new Map();
+export function globToRegExp(glob) {
+  let regex = globCache.get(glob);
+  if (!regex) {
+    const source = glob
+      .replace(/\\/g, '/')
+      .replace(/^\.\//, '')
+      .split(/(\*\*\/|\*\*|\*|\?)/)
+      .map(part => {
+        if (part === '**/') return '(?:.*/)?';
+        if (part === '**') return '.*';
+        if (part === '*') return '[^/]*';
+        if (part === '?') return '[^/]';
+        return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    regex = new RegExp('^' + source + '$');
+    globCache.set(glob, regex);
+  }
+  return regex;
+}
+
+// Directory a glob can be watched from: the path segments before the first wildcard
+export function getGlobBase(glob) {
+  const segments = glob.replace(/\\/g, '/').replace(/^\.\//, '').split('/');
+  const base = [];
+  for (const segment of segments.slice(0, -1)) {
+    if (/[*?]/.test(segment)) break;
+    base.push(segment);
+  }
+  return base.join('/');
+}
+
+// Whether an ignore pattern excludes a whole directory ('' is the watch root, never ignored).
+// `dist/**` and `**/node_modules/**` match the directory itself as `dist/`, `node_modules/`
+export function isIgnoredDir(dir, ignores) {
+  return dir !== '' && ignores.some(regex => regex.test(dir) || regex.test(`${dir}/`));
+}
+
+// Directories to watch under root for a glob base: the base and all its subdirectories,
+// skipping ignored ones without descending into them. Symlinks aren't followed and
+// unreadable directories are left out, so a missing base gives []
+export function listWatchDirs(root, baseDir, ignores) {
+  const dirs = [];
+  const visit = dir => {
+    if (isIgnoredDir(dir, ignores)) return;
+    let entries;
+    try {
+      entries = readdirSync(join(root, dir), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    dirs.push(dir);
+    for (const entry of entries) {
+      if (entry.isDirectory()) visit(dir ? `${dir}/${entry.name}` : entry.name);
+    }
+  };
+  visit(baseDir);
+  return dirs;
+}
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { createConfigParser } from '../lib/config-schema.js';
+
+const schema = JSON.parse(readFileSync(new URL('../startall.schema.json', import.meta.url), 'utf8'));
+const parse = createConfigParser(schema);
+
+// Errors as `line:column path: message` for compact assertions
+function describe(text) {
+  return parse(text).errors.map(({ line, column, path, message }) => `${line}:${column} ${path}: ${message}`);
+}
+
+test('a valid config parses without errors', () => {
+  const text = JSON.stringify({
+    scrollback: 500,
+    envFile: ['.env', '.env.local'],
+    processes: { api: { command: 'node api.js', ready: { port: 3000 }, restart: 'on-failure' } },
+    paneLayout: { type: 'split', direction: 'vertical', children: [{ type: 'pane', processes: ['api'] }] },
+  }, null, 2);
+  const { data, errors } = parse(text);
+  assert.deepEqual(errors, []);
+  assert.equal(data.scrollback, 500);
+});
+
+test('syntax errors point at where parsing stopped and give no data', () => {
+  const { data, errors } = parse('{\n  "scrollback": 500,\n}');
+  assert.deepEqual(data, {});
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].message, 'invalid JSON: property name expected');
+  assert.deepEqual([errors[0].line, errors[0].column], [3, 1]);
+});
+
+test('unknown properties point at the key, suggest a known name and are flagged', () => {
+  const { errors } = parse('{\n  "paneLayut": null\n}');
+  assert.equal(errors.length, 1);
+  assert.deepEqual(errors[0], {
+    line: 2,
+    column: 3,
+    path: 'paneLayut',
+    message: 'unknown property "paneLayut" - did you mean "paneLayout"?',
+    unknown: true,
+  });
+});
+
+test('type, enum and minimum errors point at the value', () => {
+  assert.deepEqual(describe('{\n  "scrollback": "lots"\n}'), ['2:17 scrollback: expected integer but got string']);
+  assert.deepEqual(describe('{"packageManager": "npx"}'), ['1:20 packageManager: must be one of "npm", "pnpm", "yarn", "bun"']);
+  assert.deepEqual(describe('{"processes": {"api": {"ready": {"port": 0}}}}'), ['1:42 processes.api.ready.port: must be at least 1']);
+  assert.deepEqual(describe('{"ignore": ["a", 1]}'), ['1:18 ignore[1]: expected string but got number']);
+});
+
+test('anyOf mismatches are summarized, but a matching option reports its own errors', () => {
+  assert.deepEqual(describe('{"envFile": 1}'), ['1:13 envFile: expected string or array but got number']);
+  assert.deepEqual(describe('{"procfile": 1}'), ['1:14 procfile: expected string or array or boolean but got number']);
+  assert.deepEqual(describe('{"processes": {"api": {"restart": {"policy": "sometimes"}}}}'),
+    ['1:46 processes.api.restart.policy: must be one of "never", "on-failure", "always"']);
+});
+
+test('pane layouts are checked by their type', () => {
+  assert.deepEqual(describe('{"paneLayout": {"type": "split", "direction": "vertical"}}'),
+    ['1:16 paneLayout: missing required property "children"']);
+  assert.deepEqual(describe('{"layouts": {"main": {"type": "grid"}}}'), ['1:22 layouts.main: unknown type "grid"']);
+});
+
+test('without a schema only the syntax is checked', () => {
+  const parseSyntax = createConfigParser(null);
+  assert.deepEqual(parseSyntax('{"anything": 1}'), { data: { anything: 1 }, errors: [] });
+  assert.deepEqual(parseSyntax('[1]').data, {});
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createConfigStore, getConfigLayerPaths } from '../lib/config.js';
+
+// A store over temp user, project and local files, parsed as plain JSON
+function withStore(files, fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'startall-config-'));
+  try {
+    const paths = getConfigLayerPaths(join(dir, 'startall.json'), { XDG_CONFIG_HOME: join(dir, 'xdg') });
+    for (const [layer, data] of Object.entries(files)) {
+      mkdirSync(join(paths[layer], '..'), { recursive: true });
+      writeFileSync(paths[layer], typeof data === 'string' ? data : JSON.stringify(data));
+    }
+    const parse = text => {
+      try {
+        return { data: JSON.parse(text), errors: [] };
+      } catch (error) {
+        return { data: {}, errors: [{ line: 1, column: 1, path: '', message: error.message }] };
+      }
+    };
+    const read = layer => existsSync(paths[layer]) ? JSON.parse(readFileSync(paths[layer], 'utf8')) : null;
+    fn(createConfigStore({ getPaths: () => paths, parse }), read, paths);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('getConfigLayerPaths places the user file in the XDG config dir and the local file next to the project', () => {
+  const paths = getConfigLayerPaths('config/dev.json', { XDG_CONFIG_HOME: '/xdg' });
+  assert.equal(paths.user, join('/xdg', 'startall', 'config.json'));
+  assert.equal(paths.project, 'config/dev.json');
+  assert.equal(paths.local, 'config/dev.local.json');
+  assert.equal(getConfigLayerPaths('startall', { XDG_CONFIG_HOME: '/xdg' }).local, 'startall.local.json');
+});
+
+test('load takes each key from the highest layer that sets it', () => {
+  withStore({
+    user: { showTimestamps: true, shortcuts: { b: 'build' }, scrollback: 500 },
+    project: { ignore: ['lint'], scrollback: 2000 },
+    local: { shortcuts: { t: 'test' } },
+  }, store => {
+    const config = store.load();
+    assert.equal(config.showTimestamps, true);
+    assert.equal(config.scrollback, 2000);
+    assert.deepEqual(config.shortcuts, { t: 'test' });
+    assert.deepEqual(config.ignore, ['lint']);
+    assert.deepEqual(config.defaultSelection, []);
+    assert.equal(store.getSource('shortcuts'), 'local');
+    assert.equal(store.getSource('scrollback'), 'project');
+    assert.equal(store.getSource('defaultSelection'), null);
+  });
+});
+
+test('save writes keys back to their layer and new keys to their default layer', () => {
+  withStore({ project: { ignore: ['lint'] } }, (store, read) => {
+    const config = store.load();
+    config.ignore.push('format');
+    config.defaultSelection = ['web'];
+    config.showTimestamps = true;
+    config.dockerCompose = true;
+    assert.deepEqual(store.save(config), []);
+    
+    assert.deepEqual(read('project'), { ignore: ['lint', 'format'], dockerCompose: true });
+    assert.deepEqual(read('local'), { defaultSelection: ['web'] });
+    assert.deepEqual(read('user'), { showTimestamps: true });
+    
+    delete config.dockerCompose;
+    store.save(config);
+    assert.deepEqual(read('project'), { ignore: ['lint', 'format'] });
+  });
+});
+
+test('save leaves unchanged and unparsable files alone', () => {
+  withStore({ user: '{ broken', project: { ignore: [] } }, (store, read, paths) => {
+    const config = store.load();
+    assert.equal(store.layers.user.errors.length, 1);
+    config.showTimestamps = true;
+    const failures = store.save(config);
+    assert.deepEqual(failures, [{ path: paths.user, message: 'the file has errors, fix them to save changes to it' }]);
+    assert.equal(readFileSync(paths.user, 'utf8'), '{ broken');
+    assert.equal(readFileSync(paths.project, 'utf8'), '{"ignore":[]}');
+  });
+});
+
+test('removing a key from the layer that sets it reveals the lower layer', () => {
+  withStore({ user: { shortcuts: { b: 'build' } }, local: { shortcuts: { t: 'test' } } }, (store, read) => {
+    const config = store.load();
+    delete config.shortcuts;
+    assert.deepEqual(store.save(config), []);
+    assert.deepEqual(read('local'), {});
+    assert.deepEqual(read('user'), { shortcuts: { b: 'build' } });
+    assert.deepEqual(store.load().shortcuts, { b: 'build' });
+  });
+});
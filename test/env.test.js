@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { parseEnvFile, interpolateEnvValue, buildEnvironment, maskEnvValue } from '../lib/env.js';
+
+const values = content => Object.fromEntries(parseEnvFile(content).map(({ key, value }) => [key, value]));
+
+test('parseEnvFile reads plain, exported, commented and quoted values', () => {
+  const content = [
+    '# comment',
+    'PORT=3000',
+    'export HOST = localhost',
+    'NAME=app # trailing comment',
+    "LITERAL='${PORT} stays'",
+    'ESCAPED="a\\nb"',
+    'MULTI="line 1',
+    'line 2"',
+  ].join('\n');
+  assert.deepEqual(values(content), {
+    PORT: '3000',
+    HOST: 'localhost',
+    NAME: 'app',
+    LITERAL: '${PORT} stays',
+    ESCAPED: 'a\nb',
+    MULTI: 'line 1\nline 2',
+  });
+  assert.equal(parseEnvFile("LITERAL='x'")[0].interpolate, false);
+});
+
+test('parseEnvFile keeps empty values on their own line', () => {
+  assert.deepEqual(values('EMPTY=\nPORT=3000\nB=2\n'), { EMPTY: '', PORT: '3000', B: '2' });
+  assert.deepEqual(values('EMPTY= \t\nexport ALSO=\r\nLAST=1'), { EMPTY: '', ALSO: '', LAST: '1' });
+});
+
+test('interpolateEnvValue expands references and defaults', () => {
+  const env = { HOST: 'localhost', PORT: '3000', EMPTY: '' };
+  assert.equal(interpolateEnvValue('http://$HOST:${PORT}', env), 'http://localhost:3000');
+  assert.equal(interpolateEnvValue('${MISSING:-8080}', env), '8080');
+  assert.equal(interpolateEnvValue('${EMPTY:-fallback}', env), 'fallback');
+  assert.equal(interpolateEnvValue('$MISSING', env), '');
+});
+
+test('buildEnvironment layers files and inline env, later layers winning', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'startall-env-'));
+  try {
+    writeFileSync(join(dir, '.env'), 'PORT=3000\nURL=http://localhost:$PORT\n');
+    const { env, sources, missingFiles } = buildEnvironment({ PATH: '/bin' }, [
+      { envFile: ['.env', '.env.missing'], baseDir: dir, label: 'env' },
+      { env: { PORT: 4000, API: '${URL}/api' }, baseDir: dir, label: 'processes.api.env' },
+    ]);
+    assert.equal(env.PATH, '/bin');
+    assert.equal(env.PORT, '4000');
+    assert.equal(env.API, 'http://localhost:3000/api');
+    assert.equal(sources.get('URL'), '.env');
+    assert.equal(sources.get('PORT'), 'processes.api.env');
+    assert.deepEqual(missingFiles, [join(dir, '.env.missing')]);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('maskEnvValue hides secrets and URL passwords', () => {
+  assert.equal(maskEnvValue('API_KEY', 'abcdefghijkl'), '********');
+  assert.equal(maskEnvValue('DATABASE_URL', 'postgres://user:hunter2@db/app'), 'postgres://user:****@db/app');
+  assert.equal(maskEnvValue('PORT', '3000'), '3000');
+});
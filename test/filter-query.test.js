@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileFilterQuery } from '../lib/filter-query.js';
+import { parseJsonLogLine } from '../lib/log-lines.js';
+
+function makeLine(text, { process = 'api', stream = 'stdout' } = {}) {
+  return { text, process, processLower: process.toLowerCase(), stream, json: parseJsonLogLine(text) };
+}
+
+// Texts of the lines a query keeps
+function filter(query, lines) {
+  const { match, error } = compileFilterQuery(query);
+  assert.equal(error, undefined);
+  return lines.filter(match).map(line => line.text);
+}
+
+const lines = [
+  makeLine('Server listening on 3000'),
+  makeLine('ERROR connection refused', { stream: 'stderr' }),
+  makeLine('warning: slow query', { process: 'db' }),
+  makeLine('{"level":30,"msg":"request","req":{"method":"POST"},"status":500}'),
+];
+
+test('words and phrases match text or process name, case-insensitively', () => {
+  assert.deepEqual(filter('server', lines), ['Server listening on 3000']);
+  assert.deepEqual(filter('"Connection Refused"', lines), ['ERROR connection refused']);
+  assert.deepEqual(filter('db', lines), ['warning: slow query']);
+});
+
+test('terms combine with AND, OR and negation', () => {
+  assert.deepEqual(filter('server OR proc:db', lines), ['Server listening on 3000', 'warning: slow query']);
+  assert.deepEqual(filter('proc:api -stream:stderr -request', lines), ['Server listening on 3000']);
+});
+
+test('field qualifiers match streams, levels and JSON fields', () => {
+  assert.deepEqual(filter('stream:stderr', lines), ['ERROR connection refused']);
+  assert.deepEqual(filter('level:warning', lines), ['warning: slow query']);
+  assert.deepEqual(filter('.req.method:post .status:/^5/', lines), [lines[3].text]);
+});
+
+test('regex terms keep their case and flags', () => {
+  assert.deepEqual(filter('/^ERROR/', lines), ['ERROR connection refused']);
+  assert.deepEqual(filter('/^error/', lines), []);
+  assert.deepEqual(filter('/^error/i', lines), ['ERROR connection refused']);
+});
+
+test('invalid queries report an error', () => {
+  assert.match(compileFilterQuery('OR server').error, /OR needs a term/);
+  assert.match(compileFilterQuery('server OR').error, /OR needs a term/);
+  assert.match(compileFilterQuery('"open').error, /Unterminated quote/);
+  assert.match(compileFilterQuery('level:').error, /needs a value/);
+  assert.ok(compileFilterQuery('/(/').error);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { collapseCarriageReturns, createLineAssembler } from '../lib/line-assembler.js';
+
+// Record assembled lines as { text, complete } objects, updated in place like the app does
+function record(flushDelay = 20) {
+  const lines = [];
+  const assembler = createLineAssembler({
+    flushDelay,
+    onLine: (text, complete) => {
+      const line = { text, complete };
+      lines.push(line);
+      return line;
+    },
+    onUpdate: (line, text, complete) => Object.assign(line, { text, complete }),
+  });
+  return { lines, assembler };
+}
+
+test('collapseCarriageReturns keeps the last rewrite and ignores CRLF', () => {
+  assert.equal(collapseCarriageReturns('10%\r50%\r100%'), '100%');
+  assert.equal(collapseCarriageReturns('done\r'), 'done');
+  assert.equal(collapseCarriageReturns('plain'), 'plain');
+});
+
+test('complete lines are split across chunks and blank lines are kept', () => {
+  const { lines, assembler } = record();
+  assembler.push('\nfirst\n\n\nsec');
+  assembler.push('ond\r\n');
+  assert.deepEqual(lines.map(line => line.text), ['', 'first', '', '', 'second']);
+  assert.ok(lines.every(line => line.complete));
+});
+
+test('an unfinished line is shown once the stream is idle, then completed in place', async () => {
+  const { lines, assembler } = record(20);
+  assembler.push('Continue? ');
+  await sleep(40);
+  assert.deepEqual(lines, [{ text: 'Continue? ', complete: false }]);
+  assembler.push('yes\nnext\n');
+  assert.deepEqual(lines, [{ text: 'Continue? yes', complete: true }, { text: 'next', complete: true }]);
+});
+
+test('a progress bar updating faster than flushDelay is still shown', async () => {
+  const { lines, assembler } = record(40);
+  for (let percent = 10; percent <= 100; percent += 10) {
+    assembler.push(`\r${percent}%`);
+    await sleep(10);
+  }
+  assert.equal(lines.length, 1, 'the unfinished line is flushed while output keeps arriving');
+  assert.equal(lines[0].complete, false);
+  assert.match(lines[0].text, /^\d+%$/);
+  await sleep(60);
+  assert.deepEqual(lines, [{ text: '100%', complete: false }]);
+  assembler.flush();
+});
+
+test('flush emits the buffered rest when the stream ends', () => {
+  const { lines, assembler } = record();
+  assembler.push('no newline');
+  assembler.flush();
+  assert.deepEqual(lines, [{ text: 'no newline', complete: true }]);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJsonLogLine, getLineDisplayText, getLineLevel, lineMeetsLevel } from '../lib/log-lines.js';
+
+test('parseJsonLogLine reads pino-style lines', () => {
+  const parsed = parseJsonLogLine('{"level":30,"time":1700000000000,"pid":1,"hostname":"h","msg":"listening","port":3000}');
+  assert.equal(parsed.level, 'info');
+  assert.equal(parsed.levelLabel, 'info');
+  assert.equal(parsed.message, 'listening');
+  assert.equal(parsed.time, 1700000000000);
+  assert.deepEqual(parsed.fields, [['port', 3000]]);
+  assert.equal(parsed.text, 'listening port=3000');
+});
+
+test('parseJsonLogLine maps numeric levels, including ones below the lowest threshold', () => {
+  assert.equal(parseJsonLogLine('{"level":60}').levelLabel, 'fatal');
+  assert.equal(parseJsonLogLine('{"level":45}').levelLabel, 'warn');
+  assert.equal(parseJsonLogLine('{"level":10}').levelLabel, 'trace');
+  assert.equal(parseJsonLogLine('{"level":-1}').levelLabel, 'trace');
+  assert.equal(parseJsonLogLine('{"level":-1}').level, 'debug');
+});
+
+test('parseJsonLogLine normalizes named levels and epoch seconds', () => {
+  const parsed = parseJsonLogLine('{"severity":"WARNING","timestamp":1700000000,"message":"slow","detail":"took 3 s"}');
+  assert.equal(parsed.level, 'warn');
+  assert.equal(parsed.time, 1700000000000);
+  assert.equal(parsed.text, 'slow detail="took 3 s"');
+  assert.equal(parseJsonLogLine('{"level":"critical"}').level, 'error');
+  assert.equal(parseJsonLogLine('{"level":"INFO "}').level, 'info');
+});
+
+test('unknown JSON levels count as info and are shown at the info minimum level', () => {
+  for (const label of ['http', 'Information', 'custom']) {
+    const text = JSON.stringify({ level: label, msg: 'x' });
+    const line = { text, json: parseJsonLogLine(text) };
+    assert.equal(line.json.level, 'info');
+    assert.equal(line.json.levelLabel, label.toLowerCase());
+    assert.equal(lineMeetsLevel(line, 'info'), true);
+    assert.equal(lineMeetsLevel(line, 'warn'), false);
+  }
+});
+
+test('parseJsonLogLine ignores lines that are not JSON objects', () => {
+  assert.equal(parseJsonLogLine('plain text'), null);
+  assert.equal(parseJsonLogLine('[1, 2]'), null);
+  assert.equal(parseJsonLogLine('{not json}'), null);
+  assert.ok(parseJsonLogLine('\x1b[32m{"msg":"colored"}\x1b[0m'));
+});
+
+test('getLineDisplayText shows the compact form of JSON lines', () => {
+  const text = '{"msg":"hi","user":"ann"}';
+  assert.equal(getLineDisplayText({ text, json: parseJsonLogLine(text) }), 'hi user=ann');
+  assert.equal(getLineDisplayText({ text: '\x1b[31mred\x1b[0m', json: null }), 'red');
+});
+
+test('getLineLevel detects levels from JSON, text markers and color', () => {
+  const json = '{"level":"warn","msg":"x"}';
+  assert.equal(getLineLevel({ text: json, json: parseJsonLogLine(json) }), 'warn');
+  assert.equal(getLineLevel({ text: '[ERROR] boom' }), 'error');
+  assert.equal(getLineLevel({ text: '\x1b[33mcareful\x1b[0m' }), 'warn');
+  assert.equal(getLineLevel({ text: 'Server listening' }), null);
+});
+
+test('lineMeetsLevel treats lines without a level as info', () => {
+  const plain = { text: 'Server listening' };
+  assert.equal(lineMeetsLevel(plain, 'info'), true);
+  assert.equal(lineMeetsLevel(plain, 'warn'), false);
+  assert.equal(lineMeetsLevel({ text: 'debug: cache hit' }, 'info'), false);
+  assert.equal(lineMeetsLevel({ text: 'ERROR boom' }, 'warn'), true);
+});
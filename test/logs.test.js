@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readdirSync, utimesSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { getLogSettings, getLogFileName, getLogFileStartTime, needsLogRotation, rotateLogFile, pruneOldLogs } from '../lib/logs.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function withTempDir(fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'startall-logs-'));
+  try {
+    fn(dir);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('getLogSettings layers process settings over global ones', () => {
+  assert.equal(getLogSettings(undefined, undefined).enabled, false);
+  assert.equal(getLogSettings(true, undefined).enabled, true);
+  assert.equal(getLogSettings(true, false).enabled, false);
+  assert.equal(getLogSettings(undefined, true).enabled, true);
+  assert.equal(getLogSettings(true, null).enabled, true);
+  assert.equal(getLogSettings(null, null).enabled, false);
+  const settings = getLogSettings({ dir: 'logs', maxFiles: 2 }, { maxFiles: 1 });
+  assert.equal(settings.dir, 'logs');
+  assert.equal(settings.maxFiles, 1);
+  assert.equal(settings.maxAgeDays, 14);
+});
+
+test('getLogFileName makes workspace script names safe without collisions', () => {
+  assert.equal(getLogFileName('dev'), 'dev.log');
+  assert.equal(getLogFileName('apps/web:dev'), 'apps%2Fweb%3Adev.log');
+  const names = ['web:dev', 'web/dev', 'web_dev', 'web%3Adev', 'dev.1', 'dév'];
+  const files = names.map(getLogFileName);
+  assert.equal(new Set(files).size, names.length);
+  assert.ok(files.every(file => /^[\w%-]+\.log$/.test(file)));
+});
+
+test('needsLogRotation rotates by size and by age', () => {
+  const settings = { maxSize: 100, maxAgeDays: 1 };
+  const now = Date.now();
+  assert.equal(needsLogRotation({ size: 50, startedAt: now }, 40, settings, now), false);
+  assert.equal(needsLogRotation({ size: 50, startedAt: now }, 60, settings, now), true);
+  assert.equal(needsLogRotation({ size: 50, startedAt: now - 2 * DAY_MS }, 1, settings, now), true);
+  assert.equal(needsLogRotation({ size: 0, startedAt: now - 2 * DAY_MS }, 500, settings, now), false);
+  assert.equal(needsLogRotation({ size: 50, startedAt: now - 2 * DAY_MS }, 1, { ...settings, maxAgeDays: 0 }, now), false);
+});
+
+test('getLogFileStartTime reads the session header, falling back to mtime', () => {
+  withTempDir(dir => {
+    const withHeader = join(dir, 'a.log');
+    writeFileSync(withHeader, '===== startall session 2026-01-02T03:04:05.000Z =====\nprocess: a\n');
+    assert.equal(getLogFileStartTime(withHeader), Date.parse('2026-01-02T03:04:05.000Z'));
+    
+    const withoutHeader = join(dir, 'b.log');
+    writeFileSync(withoutHeader, 'plain\n');
+    const mtime = new Date('2026-02-03T00:00:00Z');
+    utimesSync(withoutHeader, mtime, mtime);
+    assert.equal(getLogFileStartTime(withoutHeader), mtime.getTime());
+  });
+});
+
+test('rotateLogFile shifts files and drops the oldest', () => {
+  withTempDir(dir => {
+    const path = join(dir, 'web.log');
+    for (const [file, text] of [['web.log', 'current'], ['web.1.log', 'one'], ['web.2.log', 'two']]) {
+      writeFileSync(join(dir, file), text);
+    }
+    rotateLogFile(path, 2);
+    assert.deepEqual(readdirSync(dir).sort(), ['web.1.log', 'web.2.log']);
+  });
+});
+
+test('pruneOldLogs deletes old rotated files only', () => {
+  withTempDir(dir => {
+    const old = new Date(Date.now() - 30 * DAY_MS);
+    for (const file of ['web.log', 'web.1.log', 'web.2.log']) {
+      writeFileSync(join(dir, file), '');
+      if (file !== 'web.1.log') utimesSync(join(dir, file), old, old);
+    }
+    pruneOldLogs(dir, 0);
+    assert.equal(readdirSync(dir).length, 3);
+    pruneOldLogs(dir, 14);
+    assert.deepEqual(readdirSync(dir).sort(), ['web.1.log', 'web.log']);
+  });
+});
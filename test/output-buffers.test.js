@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRingBuffer, mergeByLineNumber } from '../lib/output-buffers.js';
+
+// A ring buffer holding lines with the given line numbers
+function bufferOf(lineNumbers, capacity = 10) {
+  const buffer = createRingBuffer(capacity);
+  lineNumbers.forEach(lineNumber => buffer.push({ lineNumber }));
+  return buffer;
+}
+
+const numbers = lines => lines.map(line => line.lineNumber);
+
+test('createRingBuffer drops the oldest items once full', () => {
+  const buffer = createRingBuffer(3);
+  [1, 2, 3, 4, 5].forEach(item => buffer.push(item));
+  assert.equal(buffer.length, 3);
+  assert.deepEqual(buffer.toArray(), [3, 4, 5]);
+  assert.equal(buffer.at(0), 3);
+  assert.equal(buffer.at(3), undefined);
+});
+
+test('createRingBuffer resize keeps the newest items', () => {
+  const buffer = createRingBuffer(5);
+  [1, 2, 3, 4, 5, 6].forEach(item => buffer.push(item));
+  buffer.resize(2);
+  assert.deepEqual(buffer.toArray(), [5, 6]);
+  buffer.resize(4);
+  buffer.push(7);
+  assert.deepEqual(buffer.toArray(), [5, 6, 7]);
+});
+
+test('mergeByLineNumber interleaves ordered buffers', () => {
+  const lists = [bufferOf([1, 4, 5, 9]), bufferOf([2, 3, 8]), bufferOf([]), [6, 7].map(lineNumber => ({ lineNumber }))];
+  assert.deepEqual(numbers(mergeByLineNumber(lists)), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.deepEqual(mergeByLineNumber([]), []);
+});
+
+test('mergeByLineNumber takes the newest lines up to a limit', () => {
+  const lists = [bufferOf([1, 4, 5, 9]), bufferOf([2, 3, 8])];
+  assert.deepEqual(numbers(mergeByLineNumber(lists, { limit: 3 })), [5, 8, 9]);
+  assert.deepEqual(numbers(mergeByLineNumber(lists, { limit: 2, accept: line => line.lineNumber % 2 === 0 })), [4, 8]);
+  assert.deepEqual(numbers(mergeByLineNumber(lists, { after: 4 })), [5, 8, 9]);
+  assert.deepEqual(numbers(mergeByLineNumber(lists, { before: 5, limit: 2 })), [3, 4]);
+  assert.deepEqual(numbers(mergeByLineNumber(lists, { before: 1 })), []);
+});
+
+test('mergeByLineNumber only visits the lines it returns', () => {
+  const buffer = bufferOf(Array.from({ length: 1000 }, (_, i) => i + 1), 1000);
+  let visited = 0;
+  const counting = { get length() { return buffer.length; }, at: index => { visited++; return buffer.at(index); } };
+  assert.deepEqual(numbers(mergeByLineNumber([counting], { limit: 5 })), [996, 997, 998, 999, 1000]);
+  assert.ok(visited < 20, `visited ${visited} lines`);
+  
+  visited = 0;
+  assert.deepEqual(numbers(mergeByLineNumber([counting], { before: 501, limit: 3 })), [498, 499, 500]);
+  assert.ok(visited < 30, `visited ${visited} lines`);
+});
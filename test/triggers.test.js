@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileTriggers, triggerAppliesTo, matchTriggers, buildNotificationSequence } from '../lib/triggers.js';
+
+// Names of the triggers matching a line, with whether they fire
+function describe(triggers, scriptName, text, now) {
+  return matchTriggers(triggers, scriptName, text, now).map(({ trigger, fire }) => `${trigger.name}${fire ? '' : ' (cooldown)'}`);
+}
+
+test('config errors are collected and an invalid pattern never matches', () => {
+  const [invalid, unknown, missing] = compileTriggers([
+    { pattern: '(unclosed' },
+    { name: 'crash', pattern: 'panic', actions: ['bell', 'explode'] },
+    { actions: ['notify'] },
+  ]);
+  assert.equal(invalid.regex, null);
+  assert.match(invalid.errors[0], /^Invalid pattern: /);
+  assert.deepEqual(unknown.actions, ['bell']);
+  assert.deepEqual(unknown.errors, ['Unknown action "explode"']);
+  assert.deepEqual(missing.errors, ['Missing pattern']);
+  assert.equal(missing.name, 'trigger 3');
+  assert.deepEqual(describe([invalid, missing], 'api', '(unclosed'), []);
+});
+
+test('defaults to flash with a 5s cooldown, named after the pattern', () => {
+  const [trigger] = compileTriggers([{ pattern: 'ERROR' }]);
+  assert.equal(trigger.name, 'ERROR');
+  assert.deepEqual(trigger.actions, ['flash']);
+  assert.equal(trigger.cooldown, 5000);
+  assert.deepEqual(trigger.errors, []);
+});
+
+test('the cooldown is kept per process and hits still match while it runs', () => {
+  const triggers = compileTriggers([{ name: 'err', pattern: 'error', flags: 'gi', cooldown: 1000 }]);
+  assert.deepEqual(describe(triggers, 'api', 'Error: boom', 0), ['err']);
+  assert.deepEqual(describe(triggers, 'api', 'Error: again', 500), ['err (cooldown)']);
+  assert.deepEqual(describe(triggers, 'web', 'error', 500), ['err'], 'another process fires on its own');
+  assert.deepEqual(describe(triggers, 'api', 'error', 1000), ['err']);
+  assert.deepEqual(describe(triggers, 'api', 'all good', 5000), []);
+});
+
+test('processes scope triggers with * wildcards, empty means all', () => {
+  const [scoped, all] = compileTriggers([
+    { name: 'scoped', pattern: 'ready', processes: ['api:*', 'worker'] },
+    { name: 'all', pattern: 'ready', cooldown: 0 },
+  ]);
+  assert.ok(triggerAppliesTo(scoped, 'api:dev'));
+  assert.ok(triggerAppliesTo(scoped, 'worker'));
+  assert.ok(!triggerAppliesTo(scoped, 'worker:dev'));
+  assert.ok(!triggerAppliesTo(scoped, 'web'));
+  assert.deepEqual(describe([scoped, all], 'web', 'ready'), ['all']);
+  assert.deepEqual(describe([scoped, all], 'api:dev', 'ready'), ['scoped', 'all']);
+});
+
+test('notifications use OSC 9 or OSC 777 and strip control characters', () => {
+  assert.equal(buildNotificationSequence('startall: api', 'failed\n\x1b[31mhere', 'osc9', {}),
+    '\x1b]9;startall: api: failed  [31mhere\x07');
+  assert.equal(buildNotificationSequence('a;b', 'body; text', 'osc777', {}), '\x1b]777;notify;a,b;body; text\x07');
+});
+
+test('notifications inside tmux are wrapped in a passthrough sequence', () => {
+  const env = { TMUX: '/tmp/tmux-1000/default,123,0' };
+  assert.equal(buildNotificationSequence('title', 'body', 'osc9', env), '\x1bPtmux;\x1b\x1b]9;title: body\x07\x1b\\');
+  assert.equal(buildNotificationSequence('title', 'body', 'osc777', env), '\x1bPtmux;\x1b\x1b]777;notify;title;body\x07\x1b\\');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { DEFAULT_WATCH_IGNORE, globToRegExp, getGlobBase, isIgnoredDir, listWatchDirs } from '../lib/watch.js';
+
+test('globToRegExp matches ** across directories and * within one', () => {
+  assert.ok(globToRegExp('src/**/*.js').test('src/a/b/c.js'));
+  assert.ok(globToRegExp('src/**/*.js').test('src/c.js'));
+  assert.ok(!globToRegExp('src/*.js').test('src/a/c.js'));
+  assert.ok(globToRegExp('./lib/?.ts').test('lib/a.ts'));
+  assert.ok(!globToRegExp('*.json').test('package-json'));
+});
+
+test('getGlobBase returns the static directory before the first wildcard', () => {
+  assert.equal(getGlobBase('src/**/*.js'), 'src');
+  assert.equal(getGlobBase('./packages/api/src/*.ts'), 'packages/api/src');
+  assert.equal(getGlobBase('**/*.js'), '');
+  assert.equal(getGlobBase('index.js'), '');
+});
+
+test('isIgnoredDir matches directory globs but never the root', () => {
+  const ignores = [...DEFAULT_WATCH_IGNORE, 'dist/**', 'tmp'].map(globToRegExp);
+  assert.ok(isIgnoredDir('node_modules', ignores));
+  assert.ok(isIgnoredDir('packages/web/node_modules', ignores));
+  assert.ok(isIgnoredDir('.git', ignores));
+  assert.ok(isIgnoredDir('dist', ignores));
+  assert.ok(isIgnoredDir('tmp', ignores));
+  assert.ok(!isIgnoredDir('src', ignores));
+  assert.ok(!isIgnoredDir('', ignores));
+});
+
+test('listWatchDirs walks the base without entering ignored directories', () => {
+  const root = mkdtempSync(join(tmpdir(), 'startall-watch-'));
+  try {
+    for (const dir of ['src/lib', 'node_modules/pkg/lib', '.git/objects', 'src/node_modules/x', 'dist/assets']) {
+      mkdirSync(join(root, dir), { recursive: true });
+    }
+    writeFileSync(join(root, 'src/index.js'), '');
+    const ignores = [...DEFAULT_WATCH_IGNORE, 'dist/**'].map(globToRegExp);
+    
+    assert.deepEqual(listWatchDirs(root, '', ignores).sort(), ['', 'src', 'src/lib']);
+    assert.deepEqual(listWatchDirs(root, 'src', ignores).sort(), ['src', 'src/lib']);
+    assert.deepEqual(listWatchDirs(root, 'missing', ignores), []);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});